@@ -0,0 +1,136 @@
+// Desktop notifications and toolbar badge for run progress.
+// Loaded into the service worker after the queue module. Notifications go out
+// when a package needs the user (challenge, OTP, a filled form to submit), when
+// one fails and when the run finishes; the badge shows "processed/total".
+
+// Badge colours per run state.
+const BADGE_COLORS = {
+  running: '#1a73e8',
+  attention: '#f9ab00',
+  paused: '#5f6368',
+  failed: '#d93025',
+  finished: '#188038',
+};
+
+const NOTIFICATION_ICON = 'icons/icon-128.png';
+
+// Packages waiting on the user, with what they wait for.
+// Held in memory only: a restarted worker shows plain progress until the next prompt.
+const attentionPackages = new Map();
+
+// Number of packages with an outcome.
+function getProcessedCount(state) {
+  return RESULT_LISTS.reduce((count, list) => count + state[list].length, 0);
+}
+
+// Badge colour for a run: amber while a package waits on the user.
+function getBadgeColor(state) {
+  if (state.status === 'idle') {
+    return state.failed.length > 0 || state.unverified.length > 0 ? BADGE_COLORS.failed : BADGE_COLORS.finished;
+  }
+  if (state.status === 'paused') {
+    return BADGE_COLORS.paused;
+  }
+  return attentionPackages.size > 0 ? BADGE_COLORS.attention : BADGE_COLORS.running;
+}
+
+// Show run progress on the toolbar icon; cleared when there is no run to show.
+async function updateBadge(state) {
+  const showing = state?.runId && (state.status !== 'idle' || state.finishedAt);
+  if (!showing) {
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: chrome.runtime.getManifest().name });
+    return;
+  }
+
+  const processed = getProcessedCount(state);
+  const total = state.packages.length;
+  const progress = state.status === 'idle' ? 'finished' : state.phase === 'verify' ? `${state.status}, verifying` : state.status;
+  const waiting = Array.from(attentionPackages.keys());
+  await chrome.action.setBadgeBackgroundColor({ color: getBadgeColor(state) });
+  await chrome.action.setBadgeText({ text: `${processed}/${total}` });
+  await chrome.action.setTitle({
+    title: [
+      `${processed} of ${total} packages processed (${progress})`,
+      ...(waiting.length > 0 ? [`Waiting for you: ${waiting.join(', ')}`] : []),
+    ].join('\n'),
+  });
+}
+
+// Show a desktop notification, unless the run has them turned off.
+async function notify(state, id, title, message, requireInteraction = false) {
+  if (state?.config.notifications === false) return;
+  try {
+    await chrome.notifications.create(id, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(NOTIFICATION_ICON),
+      title,
+      message,
+      priority: requireInteraction ? 2 : 0,
+      requireInteraction,
+    });
+  } catch (error) {
+    console.log('[npm-trusted-publisher] Failed to show notification:', error);
+  }
+}
+
+// Record that a package waits on the user and tell them.
+async function notifyAttention(packageName, reason) {
+  const state = await getState();
+  if (!state || state.status !== 'running' || findLane(state, packageName) < 0) return;
+
+  attentionPackages.set(packageName, reason);
+  await updateBadge(state);
+  await notify(state, `attention:${packageName}`, `Action needed: ${packageName}`, `${reason} Click to show the run tab.`, true);
+}
+
+// In semi-auto runs a filled form waits for the user to submit it.
+async function notifyFormFilled(packageName) {
+  const state = await getState();
+  if (state?.config.mode === 'configure' && !state.config.autoSubmit) {
+    await notifyAttention(packageName, 'The form is filled in; check it and click "Set up connection".');
+  }
+}
+
+// Stop treating a package as waiting on the user.
+function clearAttention(packageName) {
+  attentionPackages.delete(packageName);
+  chrome.notifications.clear(`attention:${packageName}`).catch(() => {});
+}
+
+// Notify about new failures and the end of the run, and refresh the badge.
+async function handleRunStateChange(oldValue, newValue) {
+  const state = newValue ? normalizeState(newValue) : null;
+  const previous = oldValue ? normalizeState(oldValue) : null;
+
+  // Packages that got an outcome, or aren't being worked on any more, no longer wait.
+  const active = state ? getActivePackages(state) : [];
+  for (const packageName of attentionPackages.keys()) {
+    if (!active.includes(packageName) || state.results[packageName] || state.status !== 'running') {
+      clearAttention(packageName);
+    }
+  }
+
+  await updateBadge(state);
+  if (!state?.runId || state.runId !== previous?.runId) return;
+
+  for (const packageName of state.failed.filter((pkg) => !previous.failed.includes(pkg))) {
+    const { reason, error } = state.results[packageName] || {};
+    const next = state.lanes.length > 1 ? 'The run moved on.' : 'Fix it and click Next, or Retry.';
+    await notify(state, `failed:${packageName}`, `Failed: ${packageName}`, `${error || reason || 'Unknown error'}\n${next}`);
+  }
+
+  if (state.status === 'idle' && state.finishedAt && !previous.finishedAt) {
+    // Dry runs report what they planned rather than what they did.
+    const dryRun = isDryRun(state.config);
+    const counts = dryRun
+      ? Object.entries(getPlanSummary(state)).map(([action, count]) => `${count} ${action}`)
+      : RESULT_LISTS.filter((list) => state[list].length > 0).map((list) => `${state[list].length} ${list}`);
+    await notify(
+      state,
+      `finished:${state.runId}`,
+      dryRun ? 'Dry run finished' : 'Run finished',
+      `${state.packages.length} packages: ${counts.join(', ') || 'nothing processed'}.`
+    );
+  }
+}
@@ -0,0 +1,114 @@
+// Adaptive pacing of page loads across all run tabs.
+// Loaded into the service worker. Page loads are spaced by an interval that
+// doubles each time npm or Cloudflare pushes back (a challenge page, an HTTP 429
+// or an error alert), and each push back also starts a cooldown with no page
+// loads at all; both get random jitter so parallel tabs don't retry in step.
+// After a few clean pages in a row the interval halves again, back down to the
+// base. The pace is kept in storage so it survives a worker restart and the
+// popup can show it.
+
+const PACING_KEY = 'trustedPublisherPacing';
+
+// Interval between page loads with no push back (ms).
+const BASE_NAVIGATION_INTERVAL = 1000;
+
+// Backoff levels; the interval is BASE_NAVIGATION_INTERVAL * 2^level, up to about a minute.
+const MAX_BACKOFF_LEVEL = 6;
+
+// Cooldown after a push back at level 1 (ms); doubles per level, up to 5 minutes.
+const BASE_COOLDOWN = 5000;
+const MAX_COOLDOWN = 5 * 60 * 1000;
+
+// Up to this fraction is added at random to backed-off intervals and cooldowns.
+const PACING_JITTER = 0.5;
+
+// Clean pages in a row before the interval halves.
+const CLEAN_PAGES_TO_SPEED_UP = 3;
+
+// A backoff this old (ms) is forgotten, e.g. when the next run starts much later.
+const PACING_RESET_AFTER = 15 * 60 * 1000;
+
+// Push backs that slow the run down.
+const THROTTLE_SIGNALS = ['challenge', 'http-429', 'error-alert'];
+
+// In-memory copy of the stored pace, loaded on first use.
+let pacing = null;
+
+// When the next page load may start (ms).
+let nextNavigationAt = 0;
+
+function createPacing() {
+  return { level: 0, cleanPages: 0, cooldownUntil: 0, lastSignal: null };
+}
+
+// Get the pace, loading it from storage after a worker restart.
+async function getPacing() {
+  if (!pacing) {
+    const stored = (await chrome.storage.local.get([PACING_KEY]))[PACING_KEY];
+    pacing = { ...createPacing(), ...stored };
+  }
+  if (pacing.lastSignal && Date.now() - Date.parse(pacing.lastSignal.at) > PACING_RESET_AFTER) {
+    pacing = createPacing();
+    await savePacing();
+  }
+  return pacing;
+}
+
+async function savePacing() {
+  await chrome.storage.local.set({
+    [PACING_KEY]: { ...pacing, interval: getNavigationInterval(pacing.level) },
+  });
+}
+
+// Interval between page loads at a backoff level (ms).
+function getNavigationInterval(level) {
+  return BASE_NAVIGATION_INTERVAL * 2 ** level;
+}
+
+function withJitter(ms) {
+  return Math.round(ms * (1 + Math.random() * PACING_JITTER));
+}
+
+// Slow down after a push back. Returns the cooldown (ms).
+async function recordThrottle(signal, packageName) {
+  const current = await getPacing();
+  current.level = Math.min(current.level + 1, MAX_BACKOFF_LEVEL);
+  current.cleanPages = 0;
+
+  const cooldown = withJitter(Math.min(BASE_COOLDOWN * 2 ** (current.level - 1), MAX_COOLDOWN));
+  current.cooldownUntil = Math.max(current.cooldownUntil, Date.now() + cooldown);
+  current.lastSignal = { type: signal, packageName, at: new Date().toISOString() };
+  console.log(
+    `[npm-trusted-publisher] ${signal} on ${packageName}: page loads ${getNavigationInterval(current.level) / 1000}s apart, cooling down ${Math.round(cooldown / 1000)}s`
+  );
+
+  await savePacing();
+  return cooldown;
+}
+
+// Count a page that loaded without push back, speeding up after enough of them.
+async function recordCleanPage() {
+  const current = await getPacing();
+  if (current.level === 0) return;
+
+  current.cleanPages++;
+  if (current.cleanPages >= CLEAN_PAGES_TO_SPEED_UP) {
+    current.level--;
+    current.cleanPages = 0;
+  }
+  await savePacing();
+}
+
+// Wait for a turn to load a page: after any cooldown, and an interval after the
+// previous page load, so working in several tabs doesn't multiply the rate of
+// requests to npm.
+async function waitForNavigationSlot() {
+  const { level, cooldownUntil } = await getPacing();
+  const now = Date.now();
+  const at = Math.max(now, nextNavigationAt, cooldownUntil);
+  const interval = getNavigationInterval(level);
+  nextNavigationAt = at + (level > 0 ? withJitter(interval) : interval);
+  if (at > now) {
+    await new Promise((resolve) => setTimeout(resolve, at - now));
+  }
+}
@@ -1,25 +1,169 @@
 // Background service worker for npm trusted publisher extension.
-// Handles tab management and state coordination.
+// Owns the run queue, and handles tab management, run history and notifications.
+
+importScripts('../shared/queue.js', '../shared/totp.js', 'notifications.js', 'pacing.js', 'watchdog.js');
+
+const HISTORY_KEY = 'trustedPublisherHistory';
+
+// Number of past runs kept in history.
+const MAX_HISTORY_RUNS = 50;
+
+// History writes are chained so concurrent events don't overwrite each other.
+let historyQueue = Promise.resolve();
+
+// Append an event to the current run's history entry.
+// Package events go to that package's timeline; run events (no package) to the run log.
+function logEvent(packageName, type, detail) {
+  historyQueue = historyQueue
+    .then(async () => {
+      const stored = await chrome.storage.local.get([HISTORY_KEY, 'trustedPublisherState']);
+      const state = stored.trustedPublisherState;
+      if (!state?.runId) return;
+
+      const history = stored[HISTORY_KEY] || [];
+      const at = new Date().toISOString();
+      let run = history.find((entry) => entry.id === state.runId);
+      if (!run) {
+        run = {
+          id: state.runId,
+          startedAt: state.startedAt || at,
+          finishedAt: null,
+          config: state.config,
+          overrides: state.overrides || {},
+          packages: state.packages,
+          log: [],
+          events: {},
+        };
+        history.unshift(run);
+        history.splice(MAX_HISTORY_RUNS);
+      }
+
+      const event = { type, at, ...(detail ? { detail } : {}) };
+      if (packageName) {
+        if (!run.events[packageName]) run.events[packageName] = [];
+        run.events[packageName].push(event);
+      } else {
+        run.log.push(event);
+      }
+
+      if (type === 'run-finished') {
+        run.finishedAt = at;
+        run.results = state.results || {};
+      }
+
+      await chrome.storage.local.set({ [HISTORY_KEY]: history });
+    })
+    .catch((error) => {
+      console.log('[npm-trusted-publisher] Failed to write history:', error);
+    });
+  return historyQueue;
+}
+
+// Map a packageResult message to a history event.
+function logPackageResult(message) {
+  const {
+    packageName,
+    success,
+    error,
+    reason,
+    waiting,
+    audited,
+    planned,
+    verification,
+    publisher,
+    publishingAccess,
+    notFound,
+    alreadyConfigured,
+    completed,
+    updated,
+  } = message;
+
+  if (waiting) {
+    logEvent(packageName, 'challenge-waiting', { message: error });
+  } else if (audited) {
+    logEvent(packageName, 'audited', { publisher, publishingAccess });
+  } else if (planned) {
+    logEvent(packageName, 'planned', { action: planned, publisher });
+  } else if (verification) {
+    logEvent(packageName, verification.verified ? 'verified' : 'unverified', verification);
+  } else if (!success) {
+    logEvent(packageName, 'error', { error, reason: reason || 'unknown' });
+  } else if (notFound) {
+    logEvent(packageName, 'skipped', { reason: 'not-found' });
+  } else if (alreadyConfigured && !completed && !updated) {
+    logEvent(packageName, 'skipped', { reason: reason || 'already-configured' });
+  } else {
+    const detail = { ...(updated ? { updated: true } : {}), ...(publishingAccess ? { publishingAccess } : {}) };
+    logEvent(packageName, 'success', Object.keys(detail).length > 0 ? detail : undefined);
+  }
+}
+
+// Track run progress from state changes, whoever made them.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.trustedPublisherState) return;
+  const { oldValue, newValue } = changes.trustedPublisherState;
+  handleRunStateChange(oldValue, newValue);
+  updateWatchdogAlarm(newValue);
+  if (!newValue?.runId) return;
+
+  if (newValue.runId !== oldValue?.runId) {
+    logEvent(null, 'run-started', { mode: newValue.config?.mode || 'configure', dryRun: isDryRun(newValue.config || {}) });
+    return;
+  }
+
+  // Log each package a lane moved past (not when a reset clears the lanes).
+  if (newValue.currentIndex >= oldValue.currentIndex) {
+    newValue.lanes?.forEach((lane, laneIndex) => {
+      const before = oldValue.lanes?.[laneIndex]?.index ?? null;
+      if (before !== null && before !== lane.index) {
+        logEvent(newValue.packages[before], 'advanced', { next: lane.index !== null ? newValue.packages[lane.index] : null });
+      }
+    });
+  }
+
+  if (newValue.phase === 'verify' && oldValue.phase !== 'verify') {
+    logEvent(null, 'verification-started');
+  }
+
+  if (newValue.status !== oldValue.status) {
+    const finished = newValue.status === 'idle' && newValue.currentIndex >= newValue.packages.length;
+    const type = finished ? 'run-finished' : { running: 'run-resumed', paused: 'run-paused', idle: 'run-stopped' }[newValue.status];
+    logEvent(null, type);
+  }
+});
 
 // Listen for tab updates to detect navigation.
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status !== 'complete') return;
   if (!tab.url?.includes('npmjs.com/package/') || !tab.url.includes('/access')) return;
 
-  // Get current state.
-  const stored = await chrome.storage.local.get(['trustedPublisherState']);
-  const state = stored.trustedPublisherState;
+  // Only the run's own tabs are handled.
+  const state = await getState();
+  const lane = state?.lanes.find((entry) => entry.tabId === tabId);
+  if (!state || state.status !== 'running' || !lane || lane.index === null) return;
 
-  if (!state || state.status !== 'running') return;
+  const assigned = state.packages[lane.index];
+  const match = new URL(tab.url).pathname.match(/\/package\/(.+?)\/access/);
+  const packageName = match ? decodeURIComponent(match[1]) : assigned;
+  logEvent(packageName, 'navigated', { url: tab.url });
+
+  // npm refused the page (HTTP 429): back off and load it again.
+  const title = tab.title || '';
+  if (rateLimitedTabs.has(tabId) || /\b429\b|too many requests/i.test(title)) {
+    rateLimitedTabs.add(tabId);
+    await handleRateLimited(state, state.lanes.indexOf(lane), packageName);
+    return;
+  }
+  rateLimitedTabs.delete(tabId);
+  watchPackage(state.lanes.indexOf(lane), lane.index, assigned, 'form-render');
 
   // Check for 404 by examining the tab title or trying to inject script.
   // 404 pages often have different titles.
-  const title = tab.title || '';
   const is404 = title.includes('404') || title.includes('Not Found') || title === '';
 
   if (is404) {
     console.log('[npm-trusted-publisher] Detected 404 from background, handling skip...');
-    await handle404Skip(state, tabId);
+    await handle404Skip(packageName);
     return;
   }
 
@@ -27,8 +171,8 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   try {
     await chrome.tabs.sendMessage(tabId, {
       action: 'pageLoaded',
-      config: state.config,
-      packageIndex: state.currentIndex,
+      config: { ...state.config, ...(state.overrides?.[assigned] || {}) },
+      packageIndex: lane.index,
     });
   } catch (error) {
     console.log('Content script not ready yet:', error);
@@ -44,7 +188,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       });
       if (results?.[0]?.result) {
         console.log('[npm-trusted-publisher] Detected 404 via script injection');
-        await handle404Skip(state, tabId);
+        await handle404Skip(packageName);
       }
     } catch (scriptError) {
       console.log('Could not inject script:', scriptError);
@@ -52,31 +196,265 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
-// Handle skipping a 404 package.
-async function handle404Skip(state, tabId) {
-  const packageName = state.packages[state.currentIndex];
-  console.log(`[npm-trusted-publisher] Skipping 404 package: ${packageName}`);
+// Tabs showing a rate-limited page (HTTP 429). Results from their content
+// script are ignored until a page loads without one.
+const rateLimitedTabs = new Set();
+
+// Times in a row a package's page was rate limited, to give up eventually.
+const rateLimitAttempts = new Map();
+
+// Most times in a row a package's page is loaded again after a 429.
+const MAX_RATE_LIMIT_ATTEMPTS = 5;
+
+// Status codes are only visible to webRequest; the page of a 429 may look like any other.
+chrome.webRequest.onCompleted.addListener(
+  (details) => {
+    if (details.statusCode === 429) {
+      rateLimitedTabs.add(details.tabId);
+    } else {
+      rateLimitedTabs.delete(details.tabId);
+    }
+  },
+  { urls: ['https://www.npmjs.com/package/*'], types: ['main_frame'] }
+);
+
+// Back off after a rate-limited page load and load the package again once the
+// cooldown is over, failing it after too many tries.
+async function handleRateLimited(state, lane, packageName) {
+  const attempts = (rateLimitAttempts.get(packageName) || 0) + 1;
+  rateLimitAttempts.set(packageName, attempts);
+  const cooldown = await recordThrottle('http-429', packageName);
+  logEvent(packageName, 'rate-limited', { attempt: attempts, cooldown });
+
+  if (attempts >= MAX_RATE_LIMIT_ATTEMPTS) {
+    rateLimitAttempts.delete(packageName);
+    await dispatch({
+      type: 'result',
+      packageName,
+      outcome: 'failed',
+      reason: 'rate-limited',
+      error: `Rate limited (HTTP 429) ${attempts} times in a row`,
+    });
+    return;
+  }
 
-  if (!state.skipped) state.skipped = [];
-  if (!state.skipped.includes(packageName)) {
-    state.skipped.push(packageName);
+  // The navigation waits out the cooldown.
+  const { index } = state.lanes[lane];
+  scheduleNavigation(state, { lane, index, packageName: state.packages[index], delay: 0 });
+}
+
+// Adjust the pace from a package result: challenges and error alerts slow the
+// run down, other outcomes count as clean pages.
+function updatePacing(message) {
+  const { packageName, success, reason, waiting, challenge } = message;
+  rateLimitAttempts.delete(packageName);
+  if (waiting) {
+    if (challenge === 'cloudflare') recordThrottle('challenge', packageName);
+  } else if (!success && ['npm-error', 'rate-limited'].includes(reason)) {
+    recordThrottle('error-alert', packageName);
+  } else if (success) {
+    recordCleanPage();
   }
-  state.currentIndex++;
+}
+
+// Pause the run if one of its tabs is closed; resuming opens a new one.
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const state = await getState();
+  if (!state?.lanes.some((lane) => lane.tabId === tabId)) return;
+
+  console.log('[npm-trusted-publisher] Run tab closed');
+  await dispatch({ type: 'tab-closed', tabId });
+});
+
+// Get the stored run state, or null before the first run.
+async function getState() {
+  const stored = await chrome.storage.local.get(['trustedPublisherState']);
+  return stored.trustedPublisherState ? normalizeState(stored.trustedPublisherState) : null;
+}
+
+// Apply a queue event to the stored state and carry out its effects.
+// Events are chained so each transition sees the previous one's result.
+let queueChain = Promise.resolve();
+function dispatch(event) {
+  const result = queueChain.then(async () => {
+    const stored = await chrome.storage.local.get(['trustedPublisherState']);
+    const current = normalizeState(stored.trustedPublisherState || createInitialState());
+    const { state, effects, ignored } = transition(current, event);
+    if (ignored) {
+      console.log(`[npm-trusted-publisher] Ignoring ${event.type} event while ${current.status}`);
+      return state;
+    }
 
-  if (state.currentIndex >= state.packages.length) {
-    state.status = 'idle';
     await chrome.storage.local.set({ trustedPublisherState: state });
-    console.log('[npm-trusted-publisher] All packages processed!');
+    runEffects(state, effects);
+    return state;
+  });
+  queueChain = result.catch((error) => {
+    console.log('[npm-trusted-publisher] Queue event failed:', error);
+  });
+  return result;
+}
+
+// Carry out effects returned by a transition.
+function runEffects(state, effects) {
+  for (const effect of effects) {
+    if (effect.type === 'navigate') {
+      scheduleNavigation(state, effect);
+    } else if (effect.type === 'finished') {
+      console.log('[npm-trusted-publisher] All packages processed!');
+    }
+  }
+}
+
+// Navigate a lane's tab to a package after a delay, unless the run moved on meanwhile.
+// The watchdog times the page load from when the tab is told to load it, not
+// while the lane waits out the delay and its turn (see pacing.js).
+function scheduleNavigation(state, { lane, index, packageName, delay }) {
+  const { runId } = state;
+  watchPackage(lane, index, packageName, 'queued');
+  setTimeout(async () => {
+    await waitForNavigationSlot();
+    const latest = await getState();
+    if (!latest || latest.status !== 'running' || latest.runId !== runId || latest.lanes[lane]?.index !== index) {
+      return;
+    }
+
+    console.log(`[npm-trusted-publisher] Navigating tab ${lane + 1} to: ${packageName}`);
+    watchPackage(lane, index, packageName, 'navigation');
+    await navigateRunTab(latest, lane, getAccessUrl(packageName));
+  }, delay * 1000);
+}
+
+// Open a lane's dedicated tab (in the background, or in a minimized window) and record it.
+// It starts blank so its id is recorded before the first package page loads.
+async function openRunTab(runTarget, lane) {
+  let tabId;
+  if (runTarget === 'window') {
+    const runWindow = await chrome.windows.create({ url: 'about:blank', state: 'minimized' });
+    tabId = runWindow.tabs[0].id;
   } else {
-    await chrome.storage.local.set({ trustedPublisherState: state });
-    // Navigate to next package.
-    const nextPkg = state.packages[state.currentIndex];
-    const nextUrl = `https://www.npmjs.com/package/${nextPkg}/access`;
-    console.log(`[npm-trusted-publisher] Navigating to next: ${nextPkg}`);
-    await chrome.tabs.update(tabId, { url: nextUrl });
+    const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+    tabId = tab.id;
+  }
+  await dispatch({ type: 'tab-opened', lane, tabId });
+  return tabId;
+}
+
+// Load a URL in a lane's tab, opening one if there is none yet (or it was closed).
+async function navigateRunTab(state, lane, url) {
+  const { tabId: existing } = state.lanes[lane];
+  if (existing) {
+    try {
+      await chrome.tabs.update(existing, { url });
+      return;
+    } catch (error) {
+      console.log('[npm-trusted-publisher] Run tab is gone, opening a new one:', error);
+    }
+  }
+  const tabId = await openRunTab(state.config.runTarget, lane);
+  await chrome.tabs.update(tabId, { url });
+}
+
+// Bring the run's tab to the front, e.g. to solve a challenge.
+// With several tabs, shows the one working on the oldest package.
+async function showRunTab() {
+  const state = await getState();
+  if (!state) return false;
+  const current = state.lanes[findLane(state, getCurrentPackage(state))];
+  const tabId = current?.tabId ?? state.lanes.find((lane) => lane.tabId)?.tabId;
+  if (!tabId) return false;
+
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true, state: 'normal' });
+    return true;
+  } catch {
+    return false;
   }
 }
 
+// Map a packageResult message from the content script to a queue result event.
+function resultEventFromMessage(message) {
+  const {
+    packageName,
+    success,
+    error,
+    reason,
+    waiting,
+    audited,
+    planned,
+    verification,
+    publisher,
+    publishingAccess,
+    notFound,
+    alreadyConfigured,
+    completed,
+    updated,
+  } = message;
+  if (waiting) return null;
+
+  const event = { type: 'result', packageName, advance: message.advance, ...(publishingAccess ? { publishingAccess } : {}) };
+  if (audited) {
+    const audit = {
+      configured: !!publisher,
+      ...(publisher || {}),
+      ...(publishingAccess ? { publishingAccess } : {}),
+      auditedAt: new Date().toISOString(),
+    };
+    return { ...event, outcome: 'completed', audit, advance: true };
+  }
+  if (verification) {
+    return { type: 'verification', packageName, ...verification };
+  }
+  if (planned) {
+    const outcome = planned.startsWith('would-skip') ? 'skipped' : 'completed';
+    return { ...event, outcome, reason: planned, plan: planned, advance: true };
+  }
+  if (!success) {
+    return { ...event, outcome: 'failed', reason: reason || 'unknown', error };
+  }
+  if (notFound) {
+    return { ...event, outcome: 'skipped', reason: 'not-found' };
+  }
+  if (alreadyConfigured && !completed && !updated) {
+    return { ...event, outcome: 'skipped', reason: reason || 'already-configured' };
+  }
+  return { ...event, outcome: updated ? 'updated' : 'completed' };
+}
+
+// A code with less time left than this (s) is skipped for the next one, so it
+// doesn't expire between filling and npm checking it.
+const MIN_OTP_VALIDITY = 5;
+
+// Generate a code for npm's OTP prompt from the unlocked TOTP secret.
+async function getOtpCode() {
+  const secret = await getUnlockedTotpSecret();
+  if (!secret) {
+    const { stored } = await getTotpStatus();
+    return { code: null, error: stored ? 'TOTP secret is locked' : 'No TOTP secret set up' };
+  }
+
+  const remaining = getTotpRemaining();
+  if (remaining < MIN_OTP_VALIDITY) {
+    await new Promise((resolve) => setTimeout(resolve, remaining * 1000));
+  }
+  return { code: await generateTotp(secret) };
+}
+
+// Handle skipping a 404 package. In the verification pass a package that was
+// set up can't be missing, so it is unverified instead.
+async function handle404Skip(packageName) {
+  const state = await getState();
+  if (state?.phase === 'verify') {
+    logEvent(packageName, 'unverified', { reason: 'not-found' });
+    await dispatch({ type: 'verification', packageName, verified: false, reason: 'not-found', error: 'Package page not found (404)' });
+    return;
+  }
+
+  console.log(`[npm-trusted-publisher] Skipping 404 package: ${packageName}`);
+  await dispatch({ type: 'result', packageName, outcome: 'skipped', reason: 'not-found' });
+}
+
 // Listen for messages from content scripts and popup.
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'getState') {
@@ -86,36 +464,159 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  if (message.action === 'updateState') {
-    chrome.storage.local.set({ trustedPublisherState: message.state }).then(() => {
-      sendResponse({ success: true });
+  if (message.action === 'packageResult') {
+    if (sender.tab && rateLimitedTabs.has(sender.tab.id)) {
+      console.log(`[npm-trusted-publisher] Ignoring result for ${message.packageName} from a rate-limited page`);
+      return;
+    }
+    logPackageResult(message);
+    updatePacing(message);
+    if (message.waiting) {
+      notifyAttention(message.packageName, message.error);
+      // Challenges and OTP prompts wait for the user like a filled form does.
+      if (sender.tab) watchTab(sender.tab.id, 'awaiting-submit');
+    } else {
+      unwatchPackage(message.packageName);
+    }
+    const event = resultEventFromMessage(message);
+    if (event) {
+      dispatch(event);
+    }
+    return;
+  }
+
+  if (message.action === 'queueEvent') {
+    dispatch(message.event).then(sendResponse, (error) => {
+      sendResponse({ error: error.message });
     });
     return true;
   }
+
+  if (message.action === 'getAssignment') {
+    getState().then((state) => {
+      const lane = state?.lanes.find((entry) => sender.tab && entry.tabId === sender.tab.id);
+      sendResponse(lane && lane.index !== null ? { packageName: state.packages[lane.index] } : null);
+    });
+    return true;
+  }
+
+  // Codes only go to the run's own tabs while it is running.
+  if (message.action === 'getOtpCode') {
+    getState().then(async (state) => {
+      const inRun = state?.status === 'running' && state.lanes.some((lane) => sender.tab && lane.tabId === sender.tab.id);
+      sendResponse(inRun ? await getOtpCode() : { code: null, error: 'Not a run tab' });
+    });
+    return true;
+  }
+
+  if (message.action === 'showRunTab') {
+    showRunTab().then((shown) => sendResponse({ success: shown }));
+    return true;
+  }
+
+  if (message.action === 'logEvent') {
+    logEvent(message.packageName, message.type, message.detail);
+    if (message.type === 'form-filled' && !message.detail?.manual) {
+      notifyFormFilled(message.packageName);
+    }
+    if (sender.tab && ['form-filled', 'submitted'].includes(message.type)) {
+      watchTab(sender.tab.id, message.type === 'submitted' ? 'awaiting-success' : 'awaiting-submit');
+    }
+    return;
+  }
+});
+
+// Get the tab a fill or submit shortcut acts on: the active tab if it is a
+// package access page, otherwise the tab working on the current package.
+async function getShortcutTab(state, activeTab) {
+  if (activeTab?.url?.includes('npmjs.com/package/') && activeTab.url.includes('/access')) {
+    return activeTab;
+  }
+  const lane = state?.lanes[findLane(state, getCurrentPackage(state))];
+  return lane?.tabId ? chrome.tabs.get(lane.tabId).catch(() => null) : null;
+}
+
+// Run a keyboard shortcut. Returns a message to show if it couldn't be done.
+async function runCommand(command, activeTab) {
+  const state = await getState();
+  const currentPkg = state && getCurrentPackage(state);
+
+  switch (command) {
+    case 'next-package':
+      if (!currentPkg) return 'No package to move on from';
+      if (!state.results[currentPkg]) {
+        logEvent(currentPkg, 'manual-next');
+      }
+      await dispatch({ type: 'next' });
+      return null;
+    case 'skip-package':
+      if (!currentPkg) return 'No package to skip';
+      logEvent(currentPkg, 'skipped', { reason: 'manual-skip' });
+      await dispatch({ type: 'skip' });
+      return null;
+    case 'retry-package':
+      if (!currentPkg) return 'No package to retry';
+      await dispatch({ type: 'retry' });
+      return null;
+    case 'toggle-pause':
+      if (state?.status === 'running') {
+        await dispatch({ type: 'pause' });
+      } else if (state?.status === 'paused') {
+        await dispatch({ type: 'resume' });
+      } else {
+        return 'No run to pause or resume';
+      }
+      return null;
+    case 'fill-page':
+    case 'submit-form': {
+      const tab = await getShortcutTab(state, activeTab);
+      if (!tab) return 'Open a package access page first';
+      const match = new URL(tab.url).pathname.match(/\/package\/(.+?)\/access/);
+      const pkg = match ? decodeURIComponent(match[1]) : null;
+      const message =
+        command === 'fill-page'
+          ? { action: 'fillForm', config: { ...state?.config, ...(state?.overrides?.[pkg] || {}) } }
+          : { action: 'clickSubmit' };
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, message);
+        return response?.success ? null : command === 'fill-page' ? 'Could not fill the form' : 'No submit button found';
+      } catch (error) {
+        return `The page isn't ready: ${error.message}`;
+      }
+    }
+    default:
+      return null;
+  }
+}
+
+// Keyboard shortcuts work with the popup closed; there is no other feedback,
+// so a shortcut that can't be done says why in a notification.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  console.log(`[npm-trusted-publisher] Shortcut: ${command}`);
+  const problem = await runCommand(command, tab);
+  if (problem) {
+    console.log(`[npm-trusted-publisher] Shortcut ${command} not run: ${problem}`);
+    notify(await getState(), `command:${command}`, 'Shortcut not run', problem);
+  }
+});
+
+// Clicking a notification about a package shows the run tab it is in.
+chrome.notifications.onClicked.addListener((notificationId) => {
+  chrome.notifications.clear(notificationId);
+  if (!notificationId.startsWith('finished:')) {
+    showRunTab();
+  }
+});
+
+// The badge doesn't survive a browser restart; show the stored run again.
+chrome.runtime.onStartup.addListener(async () => {
+  await updateBadge(await getState());
 });
 
 // Handle extension installation.
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
     // Initialize default state.
-    const defaultState = {
-      status: 'idle',
-      packages: [],
-      currentIndex: 0,
-      completed: [],
-      failed: [],
-      skipped: [],
-      config: {
-        owner: 'dxos',
-        repository: 'dxos',
-        workflow: 'publish-all.yml',
-        environment: '',
-        navigationMode: 'manual',
-        autoSubmit: false,
-        delay: 2,
-      },
-    };
-
-    await chrome.storage.local.set({ trustedPublisherState: defaultState });
+    await chrome.storage.local.set({ trustedPublisherState: createInitialState() });
   }
 });
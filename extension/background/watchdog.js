@@ -0,0 +1,144 @@
+// Watchdog for packages that stop making progress.
+// Loaded into the service worker after the queue and pacing modules. Each lane's
+// package goes through phases (waiting its turn to load, its page loading, the
+// form rendering, the filled form waiting to be submitted, the submit waiting for
+// npm's answer), and an alarm checks how long it has been in the current one;
+// waiting for a turn has no timeout. A package stuck past its
+// phase's timeout has its page loaded again, and after a few reloads fails with
+// reason 'timeout' so the run moves on. Alarms wake the worker, unlike timers.
+// Progress is kept in session storage so it survives a worker restart.
+
+const WATCHDOG_KEY = 'trustedPublisherWatchdog';
+const WATCHDOG_ALARM = 'trustedPublisherWatchdog';
+
+// Chrome doesn't run alarms more often than every 30 seconds.
+const WATCHDOG_PERIOD_MINUTES = 0.5;
+
+// Package phases with the config key of their timeout (s) and a label for errors.
+// A lane waiting for its turn to load a page is held back on purpose, so has none.
+const WATCHDOG_PHASES = {
+  queued: { timeout: null, label: 'waiting for a turn to load the page' },
+  navigation: { timeout: 'navigationTimeout', label: 'loading the page' },
+  'form-render': { timeout: 'renderTimeout', label: 'waiting for the form' },
+  'awaiting-submit': { timeout: 'submitTimeout', label: 'waiting for you' },
+  'awaiting-success': { timeout: 'successTimeout', label: 'waiting for npm to confirm' },
+};
+
+// Progress writes are chained so concurrent updates don't overwrite each other.
+let watchdogQueue = Promise.resolve();
+
+// Update the stored progress, per lane: { packageName, index, phase, since, reloads }.
+function updateWatchdog(update) {
+  watchdogQueue = watchdogQueue
+    .then(async () => {
+      const progress = (await chrome.storage.session.get([WATCHDOG_KEY]))[WATCHDOG_KEY] || {};
+      update(progress);
+      await chrome.storage.session.set({ [WATCHDOG_KEY]: progress });
+    })
+    .catch((error) => {
+      console.log('[npm-trusted-publisher] Failed to update watchdog:', error);
+    });
+  return watchdogQueue;
+}
+
+// Record that a lane's package entered a phase. Reloads are counted per
+// package, so they carry over while the lane stays on it.
+function watchPackage(lane, index, packageName, phase) {
+  return updateWatchdog((progress) => {
+    const current = progress[lane];
+    const reloads = current?.index === index ? current.reloads : 0;
+    progress[lane] = { packageName, index, phase, since: Date.now(), reloads };
+  });
+}
+
+// Enter a phase for the package a tab works on.
+async function watchTab(tabId, phase) {
+  const state = await getState();
+  const lane = state?.lanes.findIndex((entry) => entry.tabId === tabId) ?? -1;
+  if (lane < 0 || state.lanes[lane].index === null) return;
+  const { index } = state.lanes[lane];
+  await watchPackage(lane, index, state.packages[index], phase);
+}
+
+// Stop watching a package once it has an outcome; a lane left on it (e.g. in
+// manual navigation) is waiting for the user to move on, which isn't stuck.
+function unwatchPackage(packageName) {
+  return updateWatchdog((progress) => {
+    for (const [lane, entry] of Object.entries(progress)) {
+      if (entry.packageName === packageName) delete progress[lane];
+    }
+  });
+}
+
+// Run the check alarm while a run is going, and forget progress otherwise.
+async function updateWatchdogAlarm(state) {
+  if (state?.status === 'running') {
+    if (!(await chrome.alarms.get(WATCHDOG_ALARM))) {
+      await chrome.alarms.create(WATCHDOG_ALARM, { periodInMinutes: WATCHDOG_PERIOD_MINUTES });
+    }
+    return;
+  }
+  await chrome.alarms.clear(WATCHDOG_ALARM);
+  if (!state || state.status === 'idle') {
+    await updateWatchdog((progress) => {
+      for (const lane of Object.keys(progress)) delete progress[lane];
+    });
+  }
+}
+
+// Reload or fail packages stuck past their phase's timeout.
+async function checkStuckPackages() {
+  const state = await getState();
+  if (state?.status !== 'running') return;
+
+  // A cooldown holds page loads back on purpose.
+  const { cooldownUntil } = await getPacing();
+  const now = Date.now();
+  if (now < cooldownUntil) return;
+
+  const stuck = [];
+  await updateWatchdog((progress) => {
+    for (const [lane, entry] of Object.entries(progress)) {
+      // The lane moved on without the watchdog hearing about it.
+      if (state.lanes[lane]?.index !== entry.index) {
+        delete progress[lane];
+        continue;
+      }
+      const timeoutKey = WATCHDOG_PHASES[entry.phase]?.timeout;
+      const timeout = timeoutKey ? state.config[timeoutKey] : 0;
+      if (timeout > 0 && now - entry.since > timeout * 1000) {
+        stuck.push({ lane: Number(lane), ...entry, timeout });
+        entry.reloads++;
+        entry.phase = 'queued';
+        entry.since = now;
+      }
+    }
+  });
+
+  for (const { lane, packageName, index, phase, timeout, reloads } of stuck) {
+    const { label } = WATCHDOG_PHASES[phase];
+    if (reloads >= state.config.stuckRetries) {
+      console.log(`[npm-trusted-publisher] ${packageName} stuck ${label}, giving up after ${reloads} reloads`);
+      logEvent(packageName, 'stuck', { phase, timeout, reloads, gaveUp: true });
+      await unwatchPackage(packageName);
+      const error = `No progress within ${timeout}s ${label} (reloaded ${reloads} times)`;
+      // In the verification pass the package's outcome stands; it just isn't verified.
+      await dispatch(
+        state.phase === 'verify'
+          ? { type: 'verification', packageName, verified: false, reason: 'timeout', error }
+          : { type: 'result', packageName, outcome: 'failed', reason: 'timeout', error, advance: true }
+      );
+      continue;
+    }
+
+    console.log(`[npm-trusted-publisher] ${packageName} stuck ${label} for ${timeout}s, reloading`);
+    logEvent(packageName, 'stuck', { phase, timeout, reload: reloads + 1 });
+    scheduleNavigation(state, { lane, index, packageName, delay: 0 });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCHDOG_ALARM) {
+    checkStuckPackages();
+  }
+});
@@ -0,0 +1,530 @@
+// DOM adapter for npm package access pages.
+// Every element the content script reads or clicks is looked up here. Each one
+// has a list of strategies, tried in order (current npm UI first, then looser
+// fallbacks), and the adapter reports which strategy matched so a UI change on
+// npm's side shows up as a fallback in the run history instead of a failed run.
+// Loaded before content.js; it only touches the document it is given.
+
+// Bump when the primary strategies change to follow a new npm UI.
+const ACCESS_PAGE_ADAPTER_VERSION = '2025-10';
+
+// Find a button whose trimmed text passes the test.
+function findButton(doc, test) {
+  return Array.from(doc.querySelectorAll('button')).find((button) => test(button.textContent?.trim() || '')) || null;
+}
+
+// Find a button by its aria-label.
+function findButtonByLabel(doc, pattern) {
+  return Array.from(doc.querySelectorAll('button[aria-label]')).find((button) => pattern.test(button.getAttribute('aria-label'))) || null;
+}
+
+// Find an input through the text of its <label>.
+function findInputByLabel(doc, pattern) {
+  for (const label of doc.querySelectorAll('label')) {
+    if (!pattern.test(label.textContent?.trim() || '')) continue;
+    const input = label.htmlFor ? doc.getElementById(label.htmlFor) : label.querySelector('input');
+    if (input) return input;
+  }
+  return null;
+}
+
+// Find the first element matching any selector whose text passes the test.
+function findByText(doc, selectors, test) {
+  return findAllByText(doc, selectors, test)[0] || null;
+}
+
+// Find every element matching any selector whose text passes the test, in selector order.
+function findAllByText(doc, selectors, test) {
+  const found = new Set();
+  for (const selector of selectors) {
+    for (const el of doc.querySelectorAll(selector)) {
+      if (test(el.textContent || '')) found.add(el);
+    }
+  }
+  return Array.from(found);
+}
+
+// Get the form holding the trusted publisher fields (GitHub or GitLab).
+function findPublisherForm(doc) {
+  const input =
+    doc.getElementById('oidc_repositoryOwner') ||
+    doc.querySelector('input[name="repositoryOwner"]') ||
+    doc.getElementById('oidc_namespace') ||
+    doc.querySelector('input[name="namespace"]');
+  return input?.closest('form') || null;
+}
+
+// Get the form for setting up a new trusted publisher: shown, and on a page
+// without one saved. A saved publisher's edit form is the same form (hidden
+// until Edit is clicked), and submitting that one isn't setting up.
+function findSetupForm(doc) {
+  const form = findPublisherForm(doc);
+  if (!form || form.closest('[hidden]') || findButton(doc, (text) => text === 'Delete')) {
+    return null;
+  }
+  return form;
+}
+
+// Get the part of the page for a saved trusted publisher: the nearest block
+// around its Edit button that holds a form (its edit form), or null. Buttons
+// elsewhere, like the publishing access form's, aren't the publisher's.
+function findPublisherBlock(doc) {
+  let block = findButton(doc, (text) => text === 'Edit')?.parentElement;
+  while (block && block !== doc.body && !block.querySelector('form')) {
+    block = block.parentElement;
+  }
+  return block && block !== doc.body ? block : null;
+}
+
+// Label text npm shows for each publishing access option (see shared/access.js).
+const PUBLISHING_ACCESS_LABEL_PATTERNS = {
+  none: /^don.t require two-factor/i,
+  automation: /^require two-factor authentication or\b/i,
+  publish: /^require two-factor authentication and disallow tokens/i,
+};
+
+// Find the publishing access radio button for a policy: by its value, then by its label text.
+function findPublishingAccessOption(doc, policy, byLabel) {
+  if (!byLabel) {
+    return doc.querySelector(`input[type="radio"][name="mfa"][value="${policy}"]`);
+  }
+  const pattern = PUBLISHING_ACCESS_LABEL_PATTERNS[policy];
+  return (
+    Array.from(doc.querySelectorAll('input[type="radio"]')).find((input) => {
+      const label = input.labels?.[0] || input.closest('label');
+      return pattern.test(label?.textContent?.trim() || '');
+    }) || null
+  );
+}
+
+// Inputs npm's two-factor prompt may use for the one-time password.
+const OTP_INPUT_SELECTORS = ['input[autocomplete="one-time-code"]', 'input[name*="otp"], input[id*="otp"]'];
+
+// Selectors that may hold npm's notification toasts.
+const NOTIFICATION_SELECTORS = [
+  '#notification[role="alert"]',
+  '[role="alert"]',
+  '[class*="notification"]',
+  '[class*="success"]',
+  '[class*="toast"]',
+];
+
+// Lookup strategies per page element. Each strategy returns the element or null.
+// Page-level checks (notFound, challenge) return the element that gave it away.
+// Elements the page can show several of also have findAll, returning them all.
+const ACCESS_PAGE_STRATEGIES = {
+  ownerInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_repositoryOwner') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="repositoryOwner"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^(organization or user|repository owner|owner)\b/i) },
+  ],
+  repositoryInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_repositoryName') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="repositoryName"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^repository( name)?\b/i) },
+  ],
+  workflowInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_workflowName') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="workflowName"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^workflow( filename| name)?\b/i) },
+  ],
+  environmentInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_githubEnvironmentName') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="githubEnvironmentName"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^environment( name)?\b/i) },
+  ],
+  githubActionsButton: [
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => text.includes('GitHub Actions')) },
+    { name: 'aria-label', find: (doc) => findButtonByLabel(doc, /github actions/i) },
+  ],
+  namespaceInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_namespace') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="namespace"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^namespace\b/i) },
+  ],
+  projectInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_projectName') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="projectName"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^project( name)?\b/i) },
+  ],
+  ciFileInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_ciConfigPath') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="ciConfigPath"]') },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /^(top-level )?ci (file|config)( path)?\b/i) },
+  ],
+  gitlabEnvironmentInput: [
+    { name: 'oidc-id', find: (doc) => doc.getElementById('oidc_gitlabEnvironmentName') },
+    { name: 'input-name', find: (doc) => doc.querySelector('input[name="gitlabEnvironmentName"]') },
+    {
+      // GitHub's environment input has the same label; only take one in the GitLab form.
+      name: 'label-text',
+      find: (doc) => {
+        const input = findInputByLabel(doc, /^environment( name)?\b/i);
+        return input && input.form?.querySelector('[name="namespace"], #oidc_namespace') ? input : null;
+      },
+    },
+  ],
+  gitlabButton: [
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => /gitlab( ci)?/i.test(text)) },
+    { name: 'aria-label', find: (doc) => findButtonByLabel(doc, /gitlab/i) },
+  ],
+  setupButton: [
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => /set ?up connection/i.test(text)) },
+    { name: 'form-submit', find: (doc) => findSetupForm(doc)?.querySelector('button[type="submit"]') || null },
+  ],
+  updateButton: [
+    { name: 'form-submit', find: (doc) => findPublisherForm(doc)?.querySelector('button[type="submit"]') || null },
+    {
+      name: 'button-text',
+      find: (doc) => {
+        const block = findPublisherBlock(doc);
+        return block ? findButton(block, (text) => /^(update|save)( trusted publisher)?$/i.test(text)) : null;
+      },
+    },
+  ],
+  editButton: [
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => text === 'Edit') },
+    { name: 'aria-label', find: (doc) => findButtonByLabel(doc, /^edit\b/i) },
+  ],
+  deleteButton: [
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => text === 'Delete') },
+    { name: 'aria-label', find: (doc) => findButtonByLabel(doc, /^(delete|remove)\b/i) },
+  ],
+  accessNoneOption: [
+    { name: 'input-value', find: (doc) => findPublishingAccessOption(doc, 'none', false) },
+    { name: 'label-text', find: (doc) => findPublishingAccessOption(doc, 'none', true) },
+  ],
+  accessAutomationOption: [
+    { name: 'input-value', find: (doc) => findPublishingAccessOption(doc, 'automation', false) },
+    { name: 'label-text', find: (doc) => findPublishingAccessOption(doc, 'automation', true) },
+  ],
+  accessPublishOption: [
+    { name: 'input-value', find: (doc) => findPublishingAccessOption(doc, 'publish', false) },
+    { name: 'label-text', find: (doc) => findPublishingAccessOption(doc, 'publish', true) },
+  ],
+  accessSubmitButton: [
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => /^update package settings$/i.test(text)) },
+    {
+      name: 'form-submit',
+      find: (doc) => {
+        const option = doc.querySelector('input[type="radio"][name="mfa"]');
+        return option?.form?.querySelector('button[type="submit"], button:not([type])') || null;
+      },
+    },
+  ],
+  otpInput: [
+    { name: 'one-time-code', find: (doc) => doc.querySelector(OTP_INPUT_SELECTORS[0]) },
+    { name: 'input-name', find: (doc) => doc.querySelector(OTP_INPUT_SELECTORS[1]) },
+    { name: 'label-text', find: (doc) => findInputByLabel(doc, /one-time password|authentication code|\b2fa\b|\botp\b/i) },
+  ],
+  otpSubmitButton: [
+    {
+      name: 'form-submit',
+      find: (doc) => doc.querySelector(OTP_INPUT_SELECTORS.join(', '))?.form?.querySelector('button[type="submit"], button:not([type])') || null,
+    },
+    { name: 'button-text', find: (doc) => findButton(doc, (text) => /^(verify|submit|continue)\b/i.test(text)) },
+  ],
+  successNotice: [
+    {
+      name: 'notification-text',
+      find: (doc) => findByText(doc, NOTIFICATION_SELECTORS, (text) => /successfully/i.test(text)),
+      findAll: (doc) => findAllByText(doc, NOTIFICATION_SELECTORS, (text) => /successfully/i.test(text)),
+    },
+  ],
+  errorNotice: [
+    { name: 'notification-text', find: (doc) => findByText(doc, ['#notification[role="alert"]'], (text) => /error|failed/i.test(text)) },
+    { name: 'alert-text', find: (doc) => findByText(doc, ['[role="alert"]', '[class*="error"]'], (text) => /\berror\b|failed/i.test(text)) },
+  ],
+  notFound: [
+    { name: 'json-body', find: (doc) => (/"message": ?"Not Found"/.test(doc.body?.textContent || '') ? doc.body : null) },
+    { name: 'title', find: (doc) => (/404|not found/.test(doc.title || '') ? doc.documentElement : null) },
+    {
+      // A very short page without package structure is likely an error.
+      name: 'no-package-structure',
+      find: (doc) => {
+        const hasPackageHeader = doc.querySelector('h1') || doc.querySelector('[class*="package"]');
+        const hasSettingsTab = doc.querySelector('[href*="/access"]') || doc.querySelector('button');
+        return !hasPackageHeader && !hasSettingsTab && (doc.body?.textContent || '').length < 500 ? doc.documentElement : null;
+      },
+    },
+  ],
+  challenge: [
+    { name: 'cloudflare-title', find: (doc) => (doc.title.includes('Just a moment') ? doc.documentElement : null) },
+    {
+      name: 'cloudflare-page',
+      find: (doc) => (doc.body?.textContent?.includes('Verify you are human') ? doc.querySelector('.main-wrapper') : null),
+    },
+    { name: 'turnstile-iframe', find: (doc) => doc.querySelector('iframe[src*="turnstile"], iframe[src*="challenges.cloudflare"]') },
+    { name: 'turnstile-widget', find: (doc) => doc.querySelector('[class*="turnstile"], [class*="cf-turnstile"], #cf-turnstile') },
+    {
+      name: 'otp-input',
+      find: (doc) =>
+        doc.querySelector('input[name*="otp"], input[name*="code"], input[placeholder*="code"], input[autocomplete="one-time-code"]'),
+    },
+    { name: 'cloudflare-ray-id', find: (doc) => (doc.body?.textContent?.includes('Ray ID:') ? doc.body : null) },
+  ],
+};
+
+// Page checks whose strategies are alternative signs rather than fallbacks,
+// so matching a later one doesn't mean npm's UI changed.
+const PAGE_CHECKS = ['notFound', 'challenge'];
+
+// Page elements for each provider's form: the button that opens it, and the input per config field.
+const PROVIDER_ELEMENTS = {
+  github: {
+    button: 'githubActionsButton',
+    inputs: { owner: 'ownerInput', repository: 'repositoryInput', workflow: 'workflowInput', environment: 'environmentInput' },
+  },
+  gitlab: {
+    button: 'gitlabButton',
+    inputs: { namespace: 'namespaceInput', project: 'projectInput', ciFile: 'ciFileInput', environment: 'gitlabEnvironmentInput' },
+  },
+};
+
+// Page element of each publishing access option, per policy id.
+const PUBLISHING_ACCESS_ELEMENTS = {
+  none: 'accessNoneOption',
+  automation: 'accessAutomationOption',
+  publish: 'accessPublishOption',
+};
+
+// Labels npm shows next to each field of an existing trusted publisher, per provider.
+const PUBLISHER_FIELD_LABELS = {
+  github: {
+    owner: /^(organization or user|repository owner|owner)$/i,
+    repository: /^(repository|repository name)$/i,
+    workflow: /^(workflow|workflow filename|workflow name)$/i,
+    environment: /^(environment|environment name)$/i,
+  },
+  gitlab: {
+    namespace: /^namespace$/i,
+    project: /^(project|project name)$/i,
+    ciFile: /^((top-level )?ci (file|config)( path)?)$/i,
+    environment: /^(environment|environment name)$/i,
+  },
+};
+
+// Get the value text displayed next to a field label.
+function getFieldValueText(labelElement) {
+  const candidates = [labelElement.nextElementSibling, labelElement.parentElement?.nextElementSibling];
+  for (const candidate of candidates) {
+    const text = candidate?.textContent?.trim();
+    if (text) {
+      return text;
+    }
+  }
+  return '';
+}
+
+// Read the "Label: value" leaves, and label elements followed by a value
+// element, in a block of the page. Returns [{ label, value }] in page order.
+function readLabeledValues(container) {
+  const rows = [];
+  for (const el of container.querySelectorAll('*')) {
+    if (el.children.length > 0 || el.tagName === 'BUTTON' || el.tagName === 'SCRIPT') continue;
+
+    const text = el.textContent?.trim() || '';
+    const [rawLabel, ...rest] = text.split(':');
+    const label = rawLabel.replace(/\*$/, '').trim();
+    const value = rest.length > 0 ? rest.join(':').trim() : getFieldValueText(el);
+    rows.push({ label, value });
+  }
+  return rows;
+}
+
+// Pick the provider of a saved trusted publisher from its labeled rows: the
+// "Publisher" row (GitHub Actions or GitLab CI/CD), else the field labels
+// shown. Field values aren't searched, so a GitHub repository or workflow
+// named after GitLab doesn't make it a GitLab publisher.
+function readPublisherProvider(rows) {
+  const publisherRow = rows.find(({ label }) => /^(publisher|provider)$/i.test(label));
+  if (/gitlab/i.test(publisherRow?.value || '')) return 'gitlab';
+  if (/github/i.test(publisherRow?.value || '')) return 'github';
+
+  const { environment, ...gitlabOnly } = PUBLISHER_FIELD_LABELS.gitlab;
+  const patterns = Object.values(gitlabOnly);
+  return rows.some(({ label }) => patterns.some((pattern) => pattern.test(label))) ? 'gitlab' : 'github';
+}
+
+// Create an adapter over a document.
+// onMatch(name, strategy, fallback) is called whenever a lookup succeeds;
+// fallback is set when the primary strategy didn't match.
+function createAccessPageAdapter(doc, onMatch = () => {}) {
+  // Find an element, returning { element, strategy } or null.
+  function find(name) {
+    const strategies = ACCESS_PAGE_STRATEGIES[name];
+    if (!strategies) {
+      throw new Error(`Unknown page element: ${name}`);
+    }
+    for (const [index, strategy] of strategies.entries()) {
+      const element = strategy.find(doc);
+      if (element) {
+        onMatch(name, strategy.name, index > 0 && !PAGE_CHECKS.includes(name));
+        return { element, strategy: strategy.name };
+      }
+    }
+    return null;
+  }
+
+  // Get an element, or null.
+  function get(name) {
+    return find(name)?.element || null;
+  }
+
+  // Get every match of an element npm may show several of (e.g. stacked
+  // notifications), from the first strategy that matches any.
+  function getAll(name) {
+    const match = find(name);
+    if (!match) return [];
+    const strategy = ACCESS_PAGE_STRATEGIES[name].find((entry) => entry.name === match.strategy);
+    return strategy.findAll ? strategy.findAll(doc) : [match.element];
+  }
+
+  // Check whether an element is on the page.
+  function has(name) {
+    return !!find(name);
+  }
+
+  // Click an element; returns false if it isn't on the page.
+  function click(name) {
+    const element = get(name);
+    element?.click();
+    return !!element;
+  }
+
+  // Names of the strategies tried for an element, for error messages.
+  function describe(name) {
+    return ACCESS_PAGE_STRATEGIES[name].map((strategy) => strategy.name).join(', ');
+  }
+
+  // Wait for an element to appear.
+  function waitFor(name, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const element = get(name);
+      if (element) {
+        resolve(element);
+        return;
+      }
+
+      const observer = new MutationObserver(() => {
+        const element = get(name);
+        if (element) {
+          observer.disconnect();
+          resolve(element);
+        }
+      });
+
+      observer.observe(doc.body, { childList: true, subtree: true });
+
+      setTimeout(() => {
+        observer.disconnect();
+        reject(new Error(`${name} not found within ${timeout}ms (tried: ${describe(name)})`));
+      }, timeout);
+    });
+  }
+
+  // Read the trusted publisher currently configured on the page.
+  // Returns null if no trusted publisher is configured.
+  function readPublisher() {
+    const editButton = get('editButton');
+    if (!editButton || !has('deleteButton')) {
+      return null;
+    }
+
+    // Narrow the search to the block holding the Edit button, so the package
+    // sidebar (which also has a "Repository" entry) isn't picked up.
+    let container = editButton.parentElement;
+    while (container && container !== doc.body && !/workflow|ci (file|config)/i.test(container.textContent)) {
+      container = container.parentElement;
+    }
+    container = container || doc.body;
+
+    const rows = readLabeledValues(container);
+    const provider = readPublisherProvider(rows);
+    const labels = PUBLISHER_FIELD_LABELS[provider];
+    const publisher = { provider };
+    for (const field of Object.keys(labels)) {
+      publisher[field] = '';
+    }
+
+    for (const { label, value } of rows) {
+      for (const [field, pattern] of Object.entries(labels)) {
+        if (publisher[field] || !pattern.test(label)) continue;
+        // npm shows a dash when the optional environment is not set.
+        if (value && !['-', '—', 'None'].includes(value)) {
+          publisher[field] = value;
+        }
+      }
+    }
+
+    if (provider === 'gitlab') {
+      // Project may be displayed as "namespace/project"; namespaces can have subgroups.
+      if (publisher.project.includes('/')) {
+        const split = publisher.project.lastIndexOf('/');
+        publisher.namespace = publisher.namespace || publisher.project.slice(0, split);
+        publisher.project = publisher.project.slice(split + 1);
+      }
+      // The CI file is a path in the project, kept as is.
+      if (!publisher.ciFile) {
+        const match = (container.textContent || '').match(/([\w./-]+\.ya?ml)\b/);
+        if (match) {
+          publisher.ciFile = match[1];
+        }
+      }
+      return publisher;
+    }
+
+    // Repository may be displayed as "owner/repo".
+    if (publisher.repository.includes('/')) {
+      const [owner, repository] = publisher.repository.split('/');
+      publisher.owner = publisher.owner || owner;
+      publisher.repository = repository;
+    }
+
+    // Workflow may be displayed as a path, or only appear in free text.
+    if (publisher.workflow) {
+      publisher.workflow = publisher.workflow.split('/').pop();
+    } else {
+      const match = (container.textContent || '').match(/([\w.-]+\.ya?ml)\b/);
+      if (match) {
+        publisher.workflow = match[1];
+      }
+    }
+
+    return publisher;
+  }
+
+  // Read the publishing access policy selected on the page (an id of
+  // PUBLISHING_ACCESS_ELEMENTS), or null if the page has no such options.
+  function readPublishingAccess() {
+    for (const [policy, name] of Object.entries(PUBLISHING_ACCESS_ELEMENTS)) {
+      if (get(name)?.checked) return policy;
+    }
+    return null;
+  }
+
+  // Name of the page element for a publishing access option.
+  function publishingAccessElement(policy) {
+    return PUBLISHING_ACCESS_ELEMENTS[policy];
+  }
+
+  // Names of the page elements for a provider's form (see PROVIDER_ELEMENTS).
+  function providerElements(provider) {
+    return PROVIDER_ELEMENTS[provider] || PROVIDER_ELEMENTS.github;
+  }
+
+  return {
+    version: ACCESS_PAGE_ADAPTER_VERSION,
+    find,
+    get,
+    getAll,
+    has,
+    click,
+    describe,
+    waitFor,
+    readPublisher,
+    readPublishingAccess,
+    publishingAccessElement,
+    providerElements,
+  };
+}
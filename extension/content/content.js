@@ -8,60 +8,194 @@
   let currentConfig = null;
   let observing = false;
 
-  // Check if this is a 404/not found page (package doesn't exist on npm).
-  function isNotFoundPage() {
-    // Check for JSON "Not Found" response.
-    const bodyText = document.body?.textContent || '';
-    if (bodyText.includes('"message":"Not Found"') || bodyText.includes('"message": "Not Found"')) {
-      return true;
-    }
+  // How long npm gets to accept an OTP we entered before the user is asked (ms).
+  const OTP_ACCEPT_TIMEOUT = 15000;
 
-    // Check for npm's 404 page indicators.
-    const title = document.title || '';
-    if (title.includes('404') || title.includes('not found')) {
-      return true;
-    }
+  // Element and strategy pairs already reported, so each match is only logged once per page.
+  const reportedMatches = new Set();
 
-    // Check if the page lacks typical npm package page structure.
-    const hasPackageHeader = document.querySelector('h1') || document.querySelector('[class*="package"]');
-    const hasSettingsTab = document.querySelector('[href*="/access"]') || document.querySelector('button');
-    if (!hasPackageHeader && !hasSettingsTab && bodyText.length < 500) {
-      // Very short page without package structure is likely an error.
-      return true;
+  // Page lookups go through the DOM adapter; fallback matches are logged to the run history.
+  const page = createAccessPageAdapter(document, (name, strategy, fallback) => {
+    const key = `${name}:${strategy}`;
+    if (reportedMatches.has(key)) return;
+    reportedMatches.add(key);
+
+    console.log(`[npm-trusted-publisher] ${name} matched by ${strategy} (adapter ${page.version})`);
+    const packageName = getPackageName();
+    if (fallback && packageName) {
+      logEvent(packageName, 'dom-fallback', { element: name, strategy, adapter: page.version });
     }
+  });
 
-    return false;
+  // Check if this is a 404/not found page (package doesn't exist on npm).
+  function isNotFoundPage() {
+    return page.has('notFound');
   }
 
   // Check if trusted publisher is already configured for the given config.
   function isAlreadyConfigured(config) {
     // Simple check: look for Edit and Delete buttons on the page,
-    // AND the page contains our owner/repo and workflow.
+    // AND the page contains our owner/repo (or namespace/project) and workflow (or CI file).
     const pageText = document.body?.textContent || '';
-    const hasOwnerRepo = pageText.includes(`${config.owner}/${config.repository}`);
-    const hasWorkflow = pageText.includes(config.workflow);
+    const hasOwnerRepo = pageText.includes(getPublisherSource(config));
+    const hasWorkflow = pageText.includes(getPublisherFile(config));
 
     if (!hasOwnerRepo || !hasWorkflow) {
       return false;
     }
 
-    // Check for Edit and Delete buttons (exact text match).
-    const allButtons = document.querySelectorAll('button');
-    let hasEditButton = false;
-    let hasDeleteButton = false;
-
-    for (const btn of allButtons) {
-      const btnText = btn.textContent?.trim();
-      if (btnText === 'Edit') hasEditButton = true;
-      if (btnText === 'Delete') hasDeleteButton = true;
+    // The same repository and file under the other provider isn't a match.
+    const existing = page.readPublisher();
+    if (existing && getProviderId(existing) !== getProviderId(config)) {
+      console.log(`[npm-trusted-publisher] isAlreadyConfigured check: existing publisher uses ${getProvider(existing).label}`);
+      return false;
     }
 
+    const hasEditButton = page.has('editButton');
+    const hasDeleteButton = page.has('deleteButton');
     const result = hasEditButton && hasDeleteButton;
     console.log(`[npm-trusted-publisher] isAlreadyConfigured check: hasOwnerRepo=${hasOwnerRepo}, hasWorkflow=${hasWorkflow}, hasEdit=${hasEditButton}, hasDelete=${hasDeleteButton} => ${result}`);
 
     return result;
   }
 
+  // Read the trusted publisher currently configured on the page.
+  // Returns null if no trusted publisher is configured.
+  function readExistingPublisher() {
+    const publisher = page.readPublisher();
+    console.log('[npm-trusted-publisher] readExistingPublisher:', publisher);
+    return publisher;
+  }
+
+  // Check whether the page's publishing access is the policy the config asks for (if any).
+  function hasPublishingAccess(config) {
+    return publishingAccessMatchesConfig(page.readPublishingAccess(), config);
+  }
+
+  // What a real run in this mode would do with the package, from the same checks
+  // it makes (PLAN_ACTIONS in shared/queue.js). Only reads the page.
+  function getPlannedAction(mode, config) {
+    if (mode === 'delete') {
+      return hasDeleteButton() ? 'would-delete' : 'would-skip-nothing-to-delete';
+    }
+
+    if (mode === 'update') {
+      const existing = readExistingPublisher();
+      if (!existing) {
+        return 'would-configure';
+      }
+      if (publisherMatchesConfig(existing, config)) {
+        return hasPublishingAccess(config) ? 'would-skip-configured' : 'would-set-access';
+      }
+      return getProviderId(existing) === getProviderId(config) ? 'would-update' : 'would-skip-provider-mismatch';
+    }
+
+    if (!isAlreadyConfigured(config)) {
+      return 'would-configure';
+    }
+    return hasPublishingAccess(config) ? 'would-skip-configured' : 'would-set-access';
+  }
+
+  // Recheck a package in the verification pass: the saved trusted publisher must
+  // match the config it was set up with.
+  async function verifyPackage(packageName, config) {
+    let verification;
+    if (isNotFoundPage()) {
+      verification = { verified: false, reason: 'not-found', error: 'Package page not found (404)' };
+    } else {
+      // The saved publisher (with its Edit button) may render after the rest of the page.
+      await page.waitFor('editButton', 5000).catch(() => {});
+      const publisher = readExistingPublisher();
+      if (!publisher) {
+        verification = { verified: false, reason: 'not-configured', error: 'No trusted publisher saved' };
+      } else if (!publisherMatchesConfig(publisher, config)) {
+        const expected = describePublisher(pickPublisher(config));
+        verification = {
+          verified: false,
+          reason: 'publisher-mismatch',
+          error: `Saved ${describePublisher(publisher)}, expected ${expected}`,
+        };
+      } else if (!hasPublishingAccess(config)) {
+        const found = describePublishingAccess(page.readPublishingAccess()) || 'not shown';
+        verification = {
+          verified: false,
+          reason: 'access-mismatch',
+          error: `Publishing access is ${found}, expected ${describePublishingAccess(config.publishingAccess)}`,
+        };
+      } else {
+        verification = { verified: true };
+      }
+    }
+
+    console.log(`[npm-trusted-publisher] VERIFY ${packageName}: ${verification.verified ? 'verified' : verification.reason}`);
+    reportResult(packageName, { verification: verification });
+  }
+
+  // Report a package outcome. The service worker records it and advances the queue.
+  function reportResult(packageName, result) {
+    chrome.runtime.sendMessage({
+      action: 'packageResult',
+      success: true,
+      packageName: packageName,
+      ...result,
+    }).catch(() => {
+      // Popup might not be open, that's fine.
+    });
+  }
+
+  // Log an event to the run history (kept by the service worker).
+  function logEvent(packageName, type, detail) {
+    chrome.runtime.sendMessage({ action: 'logEvent', packageName, type, detail }).catch(() => {});
+  }
+
+  // Categorize an error alert shown by npm.
+  function categorizeNpmError(text) {
+    if (/too many requests|rate limit|\b429\b/i.test(text)) {
+      return 'rate-limited';
+    }
+    if (/permission|not authori[sz]ed|forbidden|\b403\b|do not have access/i.test(text)) {
+      return 'permission-denied';
+    }
+    return 'npm-error';
+  }
+
+  // Report a failed package with a categorized reason
+  // (form-not-found, fill-failed, npm-error, permission-denied, rate-limited, timeout,
+  // challenge-timeout or provider-mismatch), also for the publishing access step.
+  function reportFailure(packageName, reason, error) {
+    console.log(`[npm-trusted-publisher] FAILED ${packageName} (${reason}): ${error}`);
+    chrome.runtime.sendMessage({
+      action: 'packageResult',
+      success: false,
+      packageName: packageName,
+      reason: reason,
+      error: error,
+    }).catch(() => {});
+  }
+
+  // Tell the service worker a package is waiting on the user (challenge or OTP).
+  // A Cloudflare challenge also tells it to slow down.
+  function reportWaiting(packageName, message) {
+    chrome.runtime.sendMessage({
+      action: 'packageResult',
+      success: false,
+      packageName: packageName,
+      error: message,
+      waiting: true,
+      challenge: getChallengeKind(),
+    }).catch(() => {});
+  }
+
+  // Whether the challenge on the page is npm's OTP prompt or a Cloudflare check.
+  function getChallengeKind() {
+    return page.has('otpInput') || page.find('challenge')?.strategy === 'otp-input' ? 'otp' : 'cloudflare';
+  }
+
+  // Get the effective config for a package, applying any per-package overrides.
+  function getPackageConfig(state, packageName) {
+    return { ...state.config, ...(state.overrides?.[packageName] || {}) };
+  }
+
   // Set input value in a React-compatible way.
   function setInputValue(element, value) {
     if (!element) return false;
@@ -84,19 +218,14 @@
     return true;
   }
 
-  // Fill the trusted publisher form.
+  // Fill the trusted publisher form of the config's provider.
   function fillForm(config) {
-    const fields = [
-      { id: 'oidc_repositoryOwner', value: config.owner },
-      { id: 'oidc_repositoryName', value: config.repository },
-      { id: 'oidc_workflowName', value: config.workflow },
-      { id: 'oidc_githubEnvironmentName', value: config.environment || '' },
-    ];
+    const { inputs } = page.providerElements(getProviderId(config));
 
     let filled = 0;
-    for (const field of fields) {
-      const element = document.getElementById(field.id);
-      if (element && setInputValue(element, field.value)) {
+    for (const [key, name] of Object.entries(inputs)) {
+      const element = page.get(name);
+      if (element && setInputValue(element, config[key] || '')) {
         filled++;
       }
     }
@@ -104,102 +233,44 @@
     return filled > 0;
   }
 
-  // Click the "GitHub Actions" button if needed.
-  function clickGitHubActionsButton() {
-    // Find button with text "GitHub Actions".
-    const buttons = document.querySelectorAll('button');
-    for (const button of buttons) {
-      if (button.textContent.includes('GitHub Actions')) {
-        button.click();
-        return true;
-      }
-    }
-    return false;
+  // Name of the first form input for the config's provider, to wait for.
+  function getFirstInput(config) {
+    return Object.values(page.providerElements(getProviderId(config)).inputs)[0];
+  }
+
+  // Click the provider's button ("GitHub Actions" or "GitLab CI/CD") to open its form.
+  function clickProviderButton(config) {
+    return page.click(page.providerElements(getProviderId(config)).button);
   }
 
   // Click the "Set up connection" button.
   function clickSetupButton() {
-    // Find the submit button in the form.
-    const buttons = document.querySelectorAll('button[type="submit"], button');
-    for (const button of buttons) {
-      const text = button.textContent.toLowerCase();
-      if (text.includes('set up connection') || text.includes('setup connection')) {
-        button.click();
-        return true;
-      }
-    }
-    return false;
+    return page.click('setupButton');
+  }
+
+  // Click the "Edit" button to open the form for an existing trusted publisher.
+  function clickEditButton() {
+    return page.click('editButton');
+  }
+
+  // Click the submit button of the edit form.
+  function clickUpdateButton() {
+    return page.click('updateButton');
   }
 
   // Click the "Delete" button to remove trusted publisher config.
   function clickDeleteButton() {
-    const buttons = document.querySelectorAll('button');
-    for (const button of buttons) {
-      const text = button.textContent?.trim();
-      if (text === 'Delete') {
-        button.click();
-        return true;
-      }
-    }
-    return false;
+    return page.click('deleteButton');
   }
 
   // Check if trusted publisher can be deleted (has Delete button).
   function hasDeleteButton() {
-    const buttons = document.querySelectorAll('button');
-    for (const button of buttons) {
-      const text = button.textContent?.trim();
-      if (text === 'Delete') {
-        return true;
-      }
-    }
-    return false;
+    return page.has('deleteButton');
   }
 
   // Check if Cloudflare Turnstile or other challenge is present.
   function hasTurnstileChallenge() {
-    // Check for full-page Cloudflare challenge (title says "Just a moment").
-    if (document.title.includes('Just a moment')) {
-      console.log('[npm-trusted-publisher] Detected full-page Cloudflare challenge (title)');
-      return true;
-    }
-
-    // Check for Cloudflare challenge page structure.
-    const mainWrapper = document.querySelector('.main-wrapper');
-    const verifyHumanText = document.body?.textContent?.includes('Verify you are human');
-    if (mainWrapper && verifyHumanText) {
-      console.log('[npm-trusted-publisher] Detected Cloudflare challenge page structure');
-      return true;
-    }
-
-    // Check for Turnstile iframe.
-    const turnstileIframe = document.querySelector('iframe[src*="turnstile"], iframe[src*="challenges.cloudflare"]');
-    if (turnstileIframe) {
-      console.log('[npm-trusted-publisher] Detected Turnstile iframe');
-      return true;
-    }
-
-    // Check for Turnstile widget container.
-    const turnstileWidget = document.querySelector('[class*="turnstile"], [class*="cf-turnstile"], #cf-turnstile');
-    if (turnstileWidget) {
-      console.log('[npm-trusted-publisher] Detected Turnstile widget');
-      return true;
-    }
-
-    // Check for OTP/verification input.
-    const otpInput = document.querySelector('input[name*="otp"], input[name*="code"], input[placeholder*="code"], input[autocomplete="one-time-code"]');
-    if (otpInput) {
-      console.log('[npm-trusted-publisher] Detected OTP input');
-      return true;
-    }
-
-    // Check for "Ray ID" which appears on Cloudflare challenge pages.
-    if (document.body?.textContent?.includes('Ray ID:')) {
-      console.log('[npm-trusted-publisher] Detected Cloudflare Ray ID');
-      return true;
-    }
-
-    return false;
+    return page.has('challenge');
   }
 
   // Wait for Turnstile/challenge to be completed.
@@ -229,41 +300,73 @@
     });
   }
 
-  // Check for success notification.
-  function checkForSuccess() {
-    // Check various possible success indicators.
-    const selectors = [
-      '#notification[role="alert"]',
-      '[role="alert"]',
-      '[class*="notification"]',
-      '[class*="success"]',
-      '[class*="toast"]',
-    ];
-
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const el of elements) {
-        const text = el.textContent || '';
-        if (text.includes('Successfully') || text.includes('successfully')) {
-          console.log(`[npm-trusted-publisher] Success detected: "${text.substring(0, 100)}"`);
-          return true;
-        }
+  // Fill npm's OTP prompt with a code from the stored TOTP secret, if one is unlocked.
+  // Returns whether a code was entered and submitted.
+  async function fillOtpPrompt(packageName) {
+    if (!page.has('otpInput')) {
+      return false;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'getOtpCode' }).catch(() => null);
+    const input = page.get('otpInput');
+    if (!response?.code || !input) {
+      console.log(`[npm-trusted-publisher] No TOTP code for the OTP prompt: ${response?.error || 'no response'}`);
+      return false;
+    }
+
+    setInputValue(input, response.code);
+    logEvent(packageName, 'otp-filled');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    if (!page.click('otpSubmitButton')) {
+      input.form?.requestSubmit();
+    }
+    return true;
+  }
+
+  // Get past a challenge or OTP prompt: enter the OTP ourselves when we can,
+  // otherwise tell the user and wait for them. Returns whether the page got past it.
+  async function getPastChallenge(packageName, message) {
+    if (await fillOtpPrompt(packageName)) {
+      const accepted = await waitForChallengeCompletion(OTP_ACCEPT_TIMEOUT);
+      logEvent(packageName, 'challenge-waited', { passed: accepted, otp: true });
+      if (accepted) {
+        return true;
       }
+      console.log('[npm-trusted-publisher] OTP not accepted, asking the user...');
     }
 
-    return false;
+    reportWaiting(packageName, message);
+    const challengePassed = await waitForChallengeCompletion();
+    logEvent(packageName, 'challenge-waited', { passed: challengePassed });
+    return challengePassed;
+  }
+
+  // Wait for any challenge (OTP, Turnstile, etc) shown after submitting, telling the user.
+  async function waitForPostSubmitChallenge(packageName, action) {
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    if (!hasTurnstileChallenge()) {
+      return;
+    }
+
+    console.log(`[npm-trusted-publisher] Challenge detected after ${action}, waiting...`);
+    const challengePassed = await getPastChallenge(packageName, `Waiting for OTP or challenge after ${action}...`);
+    if (!challengePassed) {
+      reportFailure(packageName, 'challenge-timeout', `Challenge not completed after ${action}`);
+    }
+  }
+
+  // Check for success notification.
+  function checkForSuccess() {
+    const notice = page.get('successNotice');
+    if (notice) {
+      console.log(`[npm-trusted-publisher] Success detected: "${notice.textContent.substring(0, 100)}"`);
+    }
+    return !!notice;
   }
 
   // Check for error messages.
   function checkForError() {
-    const notification = document.querySelector('#notification[role="alert"]');
-    if (notification) {
-      const text = notification.textContent;
-      if (text.includes('error') || text.includes('Error') || text.includes('failed')) {
-        return text;
-      }
-    }
-    return null;
+    return page.get('errorNotice')?.textContent || null;
   }
 
   // Get current package name from URL.
@@ -280,34 +383,109 @@
     return window.location.pathname.includes('/access');
   }
 
-  // Wait for element to appear.
-  function waitForElement(selector, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        resolve(element);
-        return;
-      }
+  // Watch for npm to confirm new package settings; start before submitting them.
+  // npm may stack toasts or reuse the one already up (e.g. for the trusted
+  // publisher), so a success notification that appears, or is rewritten, after
+  // this counts, even with the same text. Returns { saved(), stop() }.
+  function watchSettingsSaved() {
+    const before = new Map(page.getAll('successNotice').map((notice) => [notice, notice.textContent]));
+    let saved = false;
+    const observer = new MutationObserver((mutations) => {
+      if (saved) return;
+      saved = page
+        .getAll('successNotice')
+        .some(
+          (notice) =>
+            !before.has(notice) ||
+            before.get(notice) !== notice.textContent ||
+            mutations.some((mutation) => notice.contains(mutation.target))
+        );
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    return { saved: () => saved, stop: () => observer.disconnect() };
+  }
 
-      const observer = new MutationObserver(() => {
-        const element = document.querySelector(selector);
-        if (element) {
-          observer.disconnect();
-          resolve(element);
-        }
-      });
+  // Wait for a watch (see watchSettingsSaved) to see the settings saved, or an error.
+  // Resolves with nothing on success, or { reason, error }.
+  function waitForSettingsSaved(watch, timeout = 30000) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
 
-      observer.observe(document.body, { childList: true, subtree: true });
+      const check = () => {
+        const error = checkForError();
+        if (watch.saved()) {
+          resolve(null);
+        } else if (error) {
+          resolve({ reason: categorizeNpmError(error), error });
+        } else if (Date.now() - startTime > timeout) {
+          resolve({ reason: 'timeout', error: `No success or error shown within ${timeout / 1000}s of updating package settings` });
+        } else {
+          setTimeout(check, 500);
+          return;
+        }
+        watch.stop();
+      };
 
-      setTimeout(() => {
-        observer.disconnect();
-        reject(new Error(`Element ${selector} not found within ${timeout}ms`));
-      }, timeout);
+      check();
     });
   }
 
+  // Set the publishing access policy the config asks for, once the trusted
+  // publisher is in place. Resolves with { policy } the page ends up with (null
+  // if it shows no publishing access options), or { reason, error } if it couldn't be set.
+  async function applyPublishingAccess(packageName, config) {
+    const before = page.readPublishingAccess();
+    const policy = config.publishingAccess;
+    if (config.mode === 'delete' || publishingAccessMatchesConfig(before, config)) {
+      return { policy: before };
+    }
+
+    console.log(`[npm-trusted-publisher] Setting publishing access of ${packageName}: ${before} -> ${policy}`);
+    const option = page.get(page.publishingAccessElement(policy));
+    if (!option) {
+      const tried = page.describe(page.publishingAccessElement(policy));
+      return { reason: 'form-not-found', error: `Publishing access option not found (tried: ${tried})` };
+    }
+    option.click();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    const watch = watchSettingsSaved();
+    if (!page.click('accessSubmitButton')) {
+      watch.stop();
+      return { reason: 'form-not-found', error: 'Failed to click Update Package Settings button' };
+    }
+    logEvent(packageName, 'submitted', { action: 'publishing-access', policy, before });
+
+    // Changing settings may ask for an OTP, like saving the trusted publisher.
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    if (hasTurnstileChallenge()) {
+      const challengePassed = await getPastChallenge(packageName, 'Waiting for OTP or challenge after Update Package Settings...');
+      if (!challengePassed) {
+        watch.stop();
+        return { reason: 'challenge-timeout', error: 'Challenge not completed after Update Package Settings' };
+      }
+    }
+
+    const failure = await waitForSettingsSaved(watch);
+    return failure || { policy: page.readPublishingAccess() || policy };
+  }
+
+  // Report a package whose trusted publisher is in place, after setting its
+  // publishing access if the run asks for a policy. The result records the policy.
+  async function reportConfigured(packageName, config, result) {
+    const access = await applyPublishingAccess(packageName, config);
+    if (access.error) {
+      reportFailure(packageName, access.reason, access.error);
+      return;
+    }
+    reportResult(packageName, { ...result, publishingAccess: access.policy });
+  }
+
   // Setup mutation observer to detect success/failure.
-  function setupSuccessObserver(packageName) {
+  // The list is where the package is recorded on success (completed or updated).
+  // If reportTimeout is set (we submitted the form ourselves), giving up counts as a failure.
+  // With the package's config, its publishing access is set after success (see reportConfigured).
+  function setupSuccessObserver(packageName, list = 'completed', reportTimeout = false, config = null) {
     if (observing) return;
     observing = true;
     console.log(`[npm-trusted-publisher] Setting up success observer for ${packageName}`);
@@ -316,29 +494,18 @@
       if (checkForSuccess()) {
         observer.disconnect();
         observing = false;
-        console.log(`[npm-trusted-publisher] SUCCESS detected for ${packageName}, marking as completed`);
-
-        // Report success to popup - this is a COMPLETED package, not skipped.
-        chrome.runtime.sendMessage({
-          action: 'packageResult',
-          success: true,
-          packageName: packageName,
-          completed: true, // Explicitly mark as completed, not skipped.
-        }).catch((err) => {
-          console.log(`[npm-trusted-publisher] Message send failed, updating storage directly`);
-        });
-
-        // Also update storage directly to ensure it's tracked as completed.
-        chrome.storage.local.get(['trustedPublisherState']).then((stored) => {
-          const state = stored.trustedPublisherState;
-          if (state) {
-            if (!state.completed) state.completed = [];
-            if (!state.completed.includes(packageName)) {
-              state.completed.push(packageName);
-            }
-            chrome.storage.local.set({ trustedPublisherState: state });
-          }
-        });
+        console.log(`[npm-trusted-publisher] SUCCESS detected for ${packageName}, marking as ${list}`);
+
+        // Report success - this is a COMPLETED (or UPDATED) package, not skipped.
+        const result = {
+          completed: list === 'completed', // Explicitly mark as completed, not skipped.
+          updated: list === 'updated',
+        };
+        if (config) {
+          reportConfigured(packageName, config, result);
+        } else {
+          reportResult(packageName, result);
+        }
       } else {
         const error = checkForError();
         if (error) {
@@ -347,12 +514,7 @@
           console.log(`[npm-trusted-publisher] ERROR detected for ${packageName}: ${error}`);
 
           // Report failure to popup.
-          chrome.runtime.sendMessage({
-            action: 'packageResult',
-            success: false,
-            packageName: packageName,
-            error: error,
-          }).catch(() => {});
+          reportFailure(packageName, categorizeNpmError(error), error);
         }
       }
     });
@@ -368,6 +530,9 @@
       if (observing) {
         observer.disconnect();
         observing = false;
+        if (reportTimeout) {
+          reportFailure(packageName, 'timeout', 'No success or error shown within 60s of submitting');
+        }
       }
     }, 60000);
   }
@@ -382,19 +547,22 @@
       return;
     }
 
+    // Only the run's own tabs are automated; other npm tabs are left to the user.
+    const assignment = await chrome.runtime.sendMessage({ action: 'getAssignment' }).catch(() => null);
+    if (!assignment) {
+      return;
+    }
+    const expectedPackage = assignment.packageName;
+
     // Check for full-page Cloudflare challenge BEFORE checking if we're on access page.
     // The challenge page replaces the entire page content.
     if (hasTurnstileChallenge()) {
       console.log('[npm-trusted-publisher] Full-page challenge detected on load, waiting...');
-      chrome.runtime.sendMessage({
-        action: 'packageResult',
-        success: false,
-        packageName: state.packages[state.currentIndex],
-        error: 'Waiting for Cloudflare challenge...',
-        waiting: true,
-      }).catch(() => {});
-
-      await waitForChallengeCompletion();
+      const challengePassed = await getPastChallenge(expectedPackage, 'Waiting for Cloudflare challenge...');
+      if (!challengePassed) {
+        reportFailure(expectedPackage, 'challenge-timeout', 'Cloudflare challenge not completed');
+        return;
+      }
       console.log('[npm-trusted-publisher] Challenge completed, reloading page state...');
 
       // After challenge, the page should redirect/reload to the actual content.
@@ -412,46 +580,46 @@
     const packageName = getPackageName();
     if (!packageName) return;
 
-    // Check if this is the expected package.
-    const expectedPackage = state.packages[state.currentIndex];
+    // Check if this is the package this tab was sent to.
     if (packageName !== expectedPackage) {
       return;
     }
 
+    // Config for this package (global config plus any per-package overrides).
+    const config = getPackageConfig(state, packageName);
+
     // Wait for page content to load.
     await new Promise((resolve) => setTimeout(resolve, 1000));
 
+    // VERIFY phase - the run is rechecking what it set up; read-only.
+    if (state.phase === 'verify') {
+      await verifyPackage(packageName, config);
+      return;
+    }
+
     // Check if this is a 404/not found page (package not published).
     if (isNotFoundPage()) {
       console.log(`[npm-trusted-publisher] Package ${packageName} not found (404), skipping.`);
 
-      // Update storage directly and navigate to next package.
-      if (!state.skipped) state.skipped = [];
-      if (!state.skipped.includes(packageName)) {
-        state.skipped.push(packageName);
-      }
-      state.currentIndex++;
+      reportResult(packageName, { notFound: true, advance: true });
+      return;
+    }
 
-      if (state.currentIndex >= state.packages.length) {
-        state.status = 'idle';
-        await chrome.storage.local.set({ trustedPublisherState: state });
-        console.log('[npm-trusted-publisher] All packages processed!');
-      } else {
-        await chrome.storage.local.set({ trustedPublisherState: state });
-        setTimeout(() => {
-          const nextPkg = state.packages[state.currentIndex];
-          const nextUrl = `https://www.npmjs.com/package/${nextPkg}/access`;
-          console.log(`[npm-trusted-publisher] Navigating to next: ${nextPkg}`);
-          window.location.href = nextUrl;
-        }, 500);
-      }
+    // Handle AUDIT mode - read-only, never touches the form.
+    if (state.config.mode === 'audit') {
+      const publisher = readExistingPublisher();
+      console.log(`[npm-trusted-publisher] AUDIT mode for ${packageName}: configured=${!!publisher}`);
 
-      chrome.runtime.sendMessage({
-        action: 'packageResult',
-        success: true,
-        packageName: packageName,
-        notFound: true,
-      }).catch(() => {});
+      reportResult(packageName, { audited: true, publisher: publisher, publishingAccess: page.readPublishingAccess() });
+      return;
+    }
+
+    // DRY RUN - classify the package without filling the form or clicking anything.
+    if (state.config.dryRun) {
+      const planned = getPlannedAction(state.config.mode, config);
+      console.log(`[npm-trusted-publisher] DRY RUN for ${packageName}: ${planned}`);
+
+      reportResult(packageName, { planned: planned, publisher: readExistingPublisher() });
       return;
     }
 
@@ -460,33 +628,14 @@
     if (checkForSuccess()) {
       console.log(`[npm-trusted-publisher] Package ${packageName} shows success notification - was just configured!`);
 
-      // Mark as completed and advance to next package.
-      if (!state.completed) state.completed = [];
-      if (!state.completed.includes(packageName)) {
-        state.completed.push(packageName);
-      }
-      state.currentIndex++;
-
-      if (state.currentIndex >= state.packages.length) {
-        state.status = 'idle';
-        await chrome.storage.local.set({ trustedPublisherState: state });
-        console.log('[npm-trusted-publisher] All packages processed!');
-      } else {
-        await chrome.storage.local.set({ trustedPublisherState: state });
-        setTimeout(() => {
-          const nextPkg = state.packages[state.currentIndex];
-          const nextUrl = `https://www.npmjs.com/package/${nextPkg}/access`;
-          console.log(`[npm-trusted-publisher] Navigating to next: ${nextPkg}`);
-          window.location.href = nextUrl;
-        }, 500);
-      }
-
-      chrome.runtime.sendMessage({
-        action: 'packageResult',
-        success: true,
-        packageName: packageName,
-        completed: true,
-      }).catch(() => {});
+      // Mark as completed (or updated, if an edit was submitted) and advance to next package.
+      // Publishing access comes after the trusted publisher, so it may still need setting.
+      const list = state.updates?.[packageName] ? 'updated' : 'completed';
+      await reportConfigured(packageName, config, {
+        completed: list === 'completed',
+        updated: list === 'updated',
+        advance: true,
+      });
       return;
     }
 
@@ -497,15 +646,11 @@
       // Check for and wait for any Turnstile/challenge before proceeding.
       if (hasTurnstileChallenge()) {
         console.log(`[npm-trusted-publisher] Challenge detected, waiting for completion...`);
-        chrome.runtime.sendMessage({
-          action: 'packageResult',
-          success: false,
-          packageName: packageName,
-          error: 'Waiting for challenge completion...',
-          waiting: true,
-        }).catch(() => {});
-
-        await waitForChallengeCompletion();
+        const challengePassed = await getPastChallenge(packageName, 'Waiting for challenge completion...');
+        if (!challengePassed) {
+          reportFailure(packageName, 'challenge-timeout', 'Challenge not completed');
+          return;
+        }
         console.log(`[npm-trusted-publisher] Challenge completed, continuing...`);
 
         // Re-check state after challenge (page may have reloaded).
@@ -518,126 +663,150 @@
       if (!hasDeleteButton()) {
         console.log(`[npm-trusted-publisher] No Delete button found for ${packageName}, skipping.`);
         // No trusted publisher configured, skip.
-        if (!state.skipped) state.skipped = [];
-        if (!state.skipped.includes(packageName)) {
-          state.skipped.push(packageName);
-        }
-        state.currentIndex++;
-
-        if (state.currentIndex >= state.packages.length) {
-          state.status = 'idle';
-          await chrome.storage.local.set({ trustedPublisherState: state });
-          console.log('[npm-trusted-publisher] All packages processed!');
-        } else {
-          await chrome.storage.local.set({ trustedPublisherState: state });
-          setTimeout(() => {
-            const nextPkg = state.packages[state.currentIndex];
-            const nextUrl = `https://www.npmjs.com/package/${nextPkg}/access`;
-            console.log(`[npm-trusted-publisher] Navigating to next: ${nextPkg}`);
-            window.location.href = nextUrl;
-          }, 500);
-        }
-
-        chrome.runtime.sendMessage({
-          action: 'packageResult',
-          success: true,
-          packageName: packageName,
-          alreadyConfigured: true, // Treat as skipped (nothing to delete).
-        }).catch(() => {});
+        reportResult(packageName, { alreadyConfigured: true, reason: 'nothing-to-delete' });
         return;
       }
 
       // Setup observer for delete success.
-      setupSuccessObserver(packageName);
+      setupSuccessObserver(packageName, 'completed', true);
 
       // Click the Delete button.
       await new Promise((resolve) => setTimeout(resolve, 500));
       const clicked = clickDeleteButton();
       if (!clicked) {
-        chrome.runtime.sendMessage({
-          action: 'packageResult',
-          success: false,
-          packageName: packageName,
-          error: 'Failed to click Delete button',
-        }).catch(() => {});
+        reportFailure(packageName, 'form-not-found', 'Failed to click Delete button');
         return;
       }
+      logEvent(packageName, 'submitted', { action: 'delete' });
 
-      // Wait for any post-click challenge (OTP, Turnstile, etc).
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-      if (hasTurnstileChallenge()) {
-        console.log(`[npm-trusted-publisher] Post-delete challenge detected, waiting...`);
-        await waitForChallengeCompletion();
-      }
-
+      await waitForPostSubmitChallenge(packageName, 'Delete');
       return;
     }
 
     // CONFIGURE mode - Check if trusted publisher is already configured (before this session).
-    const alreadyConfigured = isAlreadyConfigured(state.config);
+    // Update mode compares field by field, since a substring check can't tell
+    // e.g. publish.yml from release-publish.yml.
+    let alreadyConfigured;
+    if (state.config.mode === 'update') {
+      const existing = readExistingPublisher();
+      alreadyConfigured = !!existing && publisherMatchesConfig(existing, config);
+    } else {
+      alreadyConfigured = isAlreadyConfigured(config);
+    }
     console.log(`[npm-trusted-publisher] Package ${packageName}: alreadyConfigured=${alreadyConfigured}`);
 
     if (alreadyConfigured) {
-      // Check if this package was already completed during this session.
-      const wasCompletedThisSession = state.completed && state.completed.includes(packageName);
+      // Check if this package was already completed (or updated) during this session.
+      const wasUpdatedThisSession = !!state.updated && state.updated.includes(packageName);
+      const wasCompletedThisSession =
+        (!!state.completed && state.completed.includes(packageName)) || wasUpdatedThisSession;
 
       if (wasCompletedThisSession) {
         console.log(`[npm-trusted-publisher] Package ${packageName} already in completed list, not marking as skipped.`);
       } else {
         console.log(`[npm-trusted-publisher] Package ${packageName} already configured (before this session), skipping.`);
-        // Add to skipped list.
-        if (!state.skipped) state.skipped = [];
-        if (!state.skipped.includes(packageName)) {
-          state.skipped.push(packageName);
-        }
       }
 
-      state.currentIndex++;
-
-      // Check if we're done.
-      if (state.currentIndex >= state.packages.length) {
-        state.status = 'idle';
-        await chrome.storage.local.set({ trustedPublisherState: state });
-        console.log('[npm-trusted-publisher] All packages processed!');
-      } else {
-        await chrome.storage.local.set({ trustedPublisherState: state });
-        // Navigate to next package after a short delay.
-        setTimeout(() => {
-          const nextPkg = state.packages[state.currentIndex];
-          const nextUrl = `https://www.npmjs.com/package/${nextPkg}/access`;
-          console.log(`[npm-trusted-publisher] Navigating to next: ${nextPkg}`);
-          window.location.href = nextUrl;
-        }, 500);
+      // The trusted publisher is in place, but the publishing access isn't the
+      // policy the run asks for: set it, which counts as completing the package.
+      if (!hasPublishingAccess(config)) {
+        console.log(`[npm-trusted-publisher] Package ${packageName} needs its publishing access set.`);
+        await reportConfigured(packageName, config, {
+          completed: !wasUpdatedThisSession,
+          updated: wasUpdatedThisSession,
+          advance: true,
+        });
+        return;
       }
 
-      // Notify popup - send correct flags so it doesn't re-add to skipped.
-      chrome.runtime.sendMessage({
-        action: 'packageResult',
-        success: true,
-        packageName: packageName,
+      // Send correct flags so it isn't re-added to skipped.
+      reportResult(packageName, {
         alreadyConfigured: !wasCompletedThisSession, // Only true if NOT already completed.
-        completed: wasCompletedThisSession, // Mark as completed if it was.
-      }).catch(() => {
-        // Popup might not be open, that's fine.
+        completed: wasCompletedThisSession && !wasUpdatedThisSession, // Mark as completed if it was.
+        updated: wasUpdatedThisSession,
+        publishingAccess: page.readPublishingAccess(),
+        advance: true,
       });
       return;
     }
 
+    // UPDATE mode - edit an existing trusted publisher that doesn't match the config.
+    if (state.config.mode === 'update') {
+      const before = readExistingPublisher();
+      if (before && !publisherMatchesConfig(before, config)) {
+        console.log(`[npm-trusted-publisher] UPDATE mode for ${packageName}, existing:`, before);
+
+        // Editing keeps the provider; switching needs a delete first.
+        if (getProviderId(before) !== getProviderId(config)) {
+          reportFailure(
+            packageName,
+            'provider-mismatch',
+            `Existing publisher uses ${getProvider(before).label}; delete it to switch to ${getProvider(config).label}`
+          );
+          return;
+        }
+
+        if (!clickEditButton()) {
+          reportFailure(packageName, 'form-not-found', 'Failed to click Edit button');
+          return;
+        }
+
+        try {
+          await page.waitFor(getFirstInput(config), 10000);
+        } catch (error) {
+          reportFailure(packageName, 'form-not-found', `Could not find form fields: ${error.message}`);
+          return;
+        }
+
+        // Small delay to ensure React has rendered.
+        await new Promise((resolve) => setTimeout(resolve, 500));
+
+        if (!fillForm(config)) {
+          reportFailure(packageName, 'fill-failed', 'Failed to fill form');
+          return;
+        }
+        logEvent(packageName, 'form-filled', { config, before });
+
+        // Keep the before and after values for the record. Submit even if the
+        // worker can't take them; the update itself matters more.
+        const update = { before, after: pickPublisher(config) };
+        await chrome.runtime.sendMessage({
+          action: 'queueEvent',
+          event: { type: 'update-pending', packageName, update },
+        }).catch(() => {});
+
+        setupSuccessObserver(packageName, 'updated', true, config);
+
+        // Always submit in update mode (like delete).
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        if (!clickUpdateButton()) {
+          reportFailure(packageName, 'form-not-found', 'Failed to click Update button');
+          return;
+        }
+        logEvent(packageName, 'submitted', { action: 'update' });
+        await waitForPostSubmitChallenge(packageName, 'Update');
+        return;
+      }
+
+      // No existing trusted publisher, fall through and set one up.
+    }
+
+    // Open the provider's form if another provider's form is showing.
+    const firstInput = getFirstInput(config);
+    if (!page.has(firstInput)) {
+      clickProviderButton(config);
+    }
+
     // Wait for form to be available.
     try {
-      await waitForElement('#oidc_repositoryOwner', 10000);
+      await page.waitFor(firstInput, 10000);
     } catch {
-      // Form field might already exist via "GitHub Actions" button.
-      clickGitHubActionsButton();
+      // Form field might only appear via the provider's button ("GitHub Actions" or "GitLab CI/CD").
+      clickProviderButton(config);
       try {
-        await waitForElement('#oidc_repositoryOwner', 5000);
-      } catch {
-        chrome.runtime.sendMessage({
-          action: 'packageResult',
-          success: false,
-          packageName: packageName,
-          error: 'Could not find form fields',
-        });
+        await page.waitFor(firstInput, 5000);
+      } catch (error) {
+        reportFailure(packageName, 'form-not-found', `Could not find form fields: ${error.message}`);
         return;
       }
     }
@@ -646,24 +815,23 @@
     await new Promise((resolve) => setTimeout(resolve, 500));
 
     // Fill the form.
-    const filled = fillForm(state.config);
+    const filled = fillForm(config);
     if (!filled) {
-      chrome.runtime.sendMessage({
-        action: 'packageResult',
-        success: false,
-        packageName: packageName,
-        error: 'Failed to fill form',
-      });
+      reportFailure(packageName, 'fill-failed', 'Failed to fill form');
       return;
     }
+    logEvent(packageName, 'form-filled', { config });
 
     // Setup success observer.
-    setupSuccessObserver(packageName);
+    setupSuccessObserver(packageName, 'completed', state.config.autoSubmit, config);
 
     // Auto-submit if configured.
     if (state.config.autoSubmit) {
       await new Promise((resolve) => setTimeout(resolve, 500));
-      clickSetupButton();
+      if (clickSetupButton()) {
+        logEvent(packageName, 'submitted', { action: 'configure' });
+        await waitForPostSubmitChallenge(packageName, 'Set up connection');
+      }
     }
   }
 
@@ -673,14 +841,15 @@
       currentConfig = message.config;
       const packageName = getPackageName();
 
-      // Try clicking GitHub Actions button first if form not visible.
-      if (!document.getElementById('oidc_repositoryOwner')) {
-        clickGitHubActionsButton();
+      // Try clicking the provider's button first if its form is not visible.
+      if (!page.has(getFirstInput(currentConfig))) {
+        clickProviderButton(currentConfig);
 
         // Wait a moment for form to appear.
         setTimeout(() => {
           const filled = fillForm(currentConfig);
           if (filled && packageName) {
+            logEvent(packageName, 'form-filled', { config: currentConfig, manual: true });
             setupSuccessObserver(packageName);
           }
           sendResponse({ success: filled });
@@ -691,6 +860,7 @@
 
       const filled = fillForm(currentConfig);
       if (filled && packageName) {
+        logEvent(packageName, 'form-filled', { config: currentConfig, manual: true });
         setupSuccessObserver(packageName);
       }
       sendResponse({ success: filled });
@@ -698,7 +868,12 @@
     }
 
     if (message.action === 'clickSubmit') {
-      const clicked = clickSetupButton();
+      // With a trusted publisher saved, the open form is its edit form.
+      const editing = hasDeleteButton();
+      const clicked = editing ? clickUpdateButton() : clickSetupButton();
+      if (clicked) {
+        logEvent(getPackageName(), 'submitted', { action: editing ? 'update' : 'configure', manual: true });
+      }
       sendResponse({ success: clicked });
       return true;
     }
@@ -0,0 +1,289 @@
+// Package list parsing for the popup.
+// The list is one entry per line, each a package name (or several, separated
+// by commas or spaces) with optional key=value overrides for the config. Pasted
+// install commands (`npm i @dxos/client@1.2.0 -D`), quotes and trailing commas
+// are tolerated. Names are checked against npm's naming rules, and scoped glob
+// patterns like `@dxos/react-*` are expanded against the scope's registry listing.
+
+// Keys accepted in per-package overrides, mapped to config fields.
+const OVERRIDE_KEYS = {
+  provider: 'provider',
+  owner: 'owner',
+  repository: 'repository',
+  repo: 'repository',
+  workflow: 'workflow',
+  namespace: 'namespace',
+  project: 'project',
+  ci: 'ciFile',
+  ciFile: 'ciFile',
+  environment: 'environment',
+  env: 'environment',
+};
+
+// Longest name npm accepts.
+const MAX_PACKAGE_NAME_LENGTH = 214;
+
+// Names npm reserves.
+const RESERVED_PACKAGE_NAMES = ['node_modules', 'favicon.ico'];
+
+// An install command at the start of a line, e.g. `npm i` or `pnpm add`.
+const INSTALL_COMMAND_PATTERN = /^(npm|pnpm|yarn|bun)\s+(i|install|add)(\s+|$)/;
+
+// Check a name against npm's naming rules. Returns what is wrong, or null.
+function validatePackageName(name) {
+  if (name.length > MAX_PACKAGE_NAME_LENGTH) {
+    return `Longer than ${MAX_PACKAGE_NAME_LENGTH} characters`;
+  }
+  if (RESERVED_PACKAGE_NAMES.includes(name)) {
+    return 'Reserved by npm';
+  }
+
+  let parts = [name];
+  if (name.startsWith('@')) {
+    const match = name.match(/^@([^/]+)\/([^/]+)$/);
+    if (!match) {
+      return 'Scoped names look like @scope/name';
+    }
+    parts = [match[1], match[2]];
+  }
+
+  for (const part of parts) {
+    if (/^[._]/.test(part)) {
+      return 'Can\'t start with "." or "_"';
+    }
+    if (part !== part.toLowerCase()) {
+      return 'npm names are lowercase';
+    }
+    if (/[~'!()*]/.test(part) || encodeURIComponent(part) !== part) {
+      return "Has characters npm doesn't allow in names";
+    }
+  }
+  return null;
+}
+
+function isPackageGlob(name) {
+  return /[*?]/.test(name);
+}
+
+// Why a glob pattern is still in the list after expanding.
+function describeUnexpandedGlob(pattern) {
+  return /^@[^/*?]+\/[^/]+$/.test(pattern)
+    ? 'Pattern matches no packages in its scope'
+    : 'Patterns need a scope, e.g. @scope/react-*';
+}
+
+// Match names against a glob pattern (* for any characters, ? for one).
+function createGlobMatcher(pattern) {
+  const source = pattern
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\/]/g, '\\$&')))
+    .join('');
+  const regex = new RegExp(`^${source}$`);
+  return (name) => regex.test(name);
+}
+
+// Split a line into package names and key=value override pairs, dropping
+// comments, install commands and their flags, quotes, and version specifiers.
+function tokenizePackageLine(line) {
+  let text = line.replace(/(^|\s)#.*$/, '').trim();
+  const install = INSTALL_COMMAND_PATTERN.test(text);
+  text = text.replace(INSTALL_COMMAND_PATTERN, '');
+
+  const names = [];
+  const pairs = [];
+  for (const raw of text.split(/[\s,]+/)) {
+    const token = raw.replace(/^["'[]+|["'\]]+$/g, '');
+    if (!token || (install && token.startsWith('-'))) continue;
+    if (token.includes('=')) {
+      pairs.push(token);
+    } else {
+      // `name@version` and `@scope/name@version` name the package without the version.
+      names.push(token.replace(/^(@?[^@]+)@.*$/, '$1'));
+    }
+  }
+  return { names, pairs };
+}
+
+// Read key=value pairs into a config override for a package.
+// Returns the override and what is wrong with pairs that can't be used (an
+// unknown key or provider), which would otherwise run with the global config.
+function parseOverridePairs(pairs) {
+  const override = {};
+  const errors = [];
+  for (const pair of pairs) {
+    const [key, ...rest] = pair.split('=');
+    const field = OVERRIDE_KEYS[key];
+    if (!field) {
+      errors.push(`Unknown override "${key}" (use ${Object.keys(OVERRIDE_KEYS).join(', ')})`);
+      continue;
+    }
+
+    // repo=owner/name sets both owner and repository, and project=namespace/name
+    // both namespace and project (the namespace may have subgroups).
+    const value = rest.join('=');
+    if (field === 'provider' && !PUBLISHER_PROVIDERS[value]) {
+      errors.push(`Unknown provider "${value}" (use ${Object.keys(PUBLISHER_PROVIDERS).join(' or ')})`);
+    } else if (field === 'repository' && value.includes('/')) {
+      [override.owner, override.repository] = value.split('/');
+    } else if (field === 'project' && value.includes('/')) {
+      const split = value.lastIndexOf('/');
+      override.namespace = value.slice(0, split);
+      override.project = value.slice(split + 1);
+    } else {
+      override[field] = value;
+    }
+  }
+  return { override, errors };
+}
+
+// Whether two overrides set the same fields to the same values.
+function isSameOverride(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
+
+// Parse package list. Each line holds package names, optionally followed by
+// key=value overrides for all of them, e.g. `@dxos/cli workflow=release-cli.yml repo=dxos/cli`
+// or `@dxos/mirror provider=gitlab project=dxos/mirror ci=.gitlab-ci.yml`.
+// Returns the valid packages and their overrides, plus what was left out:
+// invalid entries (bad names, unexpanded glob patterns, unusable overrides, and
+// a name listed again with other overrides, as { line, text, name, error } with
+// lines counted from 1) and exact duplicates, of which the first one is kept.
+function parsePackages(text) {
+  const packages = [];
+  const overrides = {};
+  const invalid = [];
+  const duplicates = [];
+  const firstLines = {};
+
+  text.split('\n').forEach((line, lineIndex) => {
+    const { names, pairs } = tokenizePackageLine(line);
+    const { override, errors } = parseOverridePairs(pairs);
+    for (const name of names) {
+      const error =
+        (isPackageGlob(name) ? describeUnexpandedGlob(name) : validatePackageName(name)) || errors.join('; ') || null;
+      if (error) {
+        invalid.push({ line: lineIndex + 1, text: line.trim(), name, error });
+        continue;
+      }
+      if (packages.includes(name)) {
+        if (isSameOverride(overrides[name] || {}, override)) {
+          duplicates.push(name);
+        } else {
+          const error = `Listed on line ${firstLines[name]} with other overrides`;
+          invalid.push({ line: lineIndex + 1, text: line.trim(), name, error });
+        }
+        continue;
+      }
+      packages.push(name);
+      firstLines[name] = lineIndex + 1;
+
+      if (Object.keys(override).length > 0) {
+        overrides[name] = { ...override };
+      }
+    }
+  });
+
+  return { packages, overrides, invalid, duplicates };
+}
+
+// Format package list back into text, including per-package overrides.
+function formatPackages(packages, overrides = {}) {
+  return packages
+    .map((pkg) => {
+      const override = overrides[pkg];
+      if (!override) return pkg;
+      return [pkg, ...Object.entries(override).map(([key, value]) => `${key}=${value}`)].join(' ');
+    })
+    .join('\n');
+}
+
+// Whether any line of a package list holds a glob pattern.
+function hasPackageGlobs(text) {
+  return text.split('\n').some((line) => tokenizePackageLine(line).names.some(isPackageGlob));
+}
+
+// Replace glob patterns in a package list with the packages they match, one
+// per line with the overrides of the pattern's line. listScope(scope) lists a
+// scope's packages. Patterns must be scoped (`@scope/...`) and match something,
+// otherwise they are left in place (and show up as invalid).
+// Returns the new text and the patterns that matched nothing.
+async function expandPackageGlobs(text, listScope) {
+  const listings = new Map();
+  const unmatched = [];
+  const lines = [];
+
+  for (const line of text.split('\n')) {
+    const { names, pairs } = tokenizePackageLine(line);
+    if (!names.some(isPackageGlob)) {
+      lines.push(line);
+      continue;
+    }
+
+    const expanded = [];
+    for (const name of names) {
+      const scope = name.match(/^@([^/*?]+)\/[^/]+$/)?.[1];
+      if (!isPackageGlob(name)) {
+        expanded.push(name);
+      } else if (!scope) {
+        unmatched.push(name);
+        expanded.push(name);
+      } else {
+        if (!listings.has(scope)) {
+          listings.set(scope, await listScope(scope));
+        }
+        const matches = listings.get(scope).filter(createGlobMatcher(name));
+        if (matches.length === 0) unmatched.push(name);
+        expanded.push(...(matches.length > 0 ? matches : [name]));
+      }
+    }
+    lines.push(...expanded.map((name) => [name, ...pairs].join(' ')));
+  }
+
+  return { text: lines.join('\n'), unmatched };
+}
+
+// Read package names from an imported file: a list like the
+// unpublished-packages.txt or .json that scripts/check-unpublished.mjs writes
+// (text is returned as is), or a package.json's dependencies on `workspace:`
+// versions (plus its own name unless it is private). A root package.json's
+// `workspaces` are folder patterns, which the popup can't look into.
+function parsePackageFile(filename, text) {
+  if (!/\.json$/i.test(filename)) {
+    return text;
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON (${error.message})`);
+  }
+
+  // A JSON array of names, or of { name, private } like `pnpm list --json` and
+  // scripts/check-unpublished.mjs print.
+  if (Array.isArray(json)) {
+    return json
+      .map((entry) => (typeof entry === 'string' ? entry : entry?.private ? null : entry?.name))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  const names = new Set();
+  if (json.name && json.private !== true) {
+    names.add(json.name);
+  }
+  for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+    for (const [name, version] of Object.entries(json[field] || {})) {
+      if (String(version).startsWith('workspace:')) names.add(name);
+    }
+  }
+  if (names.size === 0) {
+    throw new Error(
+      json.workspaces
+        ? "Its workspaces are folders, which the popup can't read; list their packages with scripts/check-unpublished.mjs and import unpublished-packages.json"
+        : 'No package name or workspace: dependencies found'
+    );
+  }
+  return Array.from(names).join('\n');
+}
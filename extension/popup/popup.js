@@ -1,136 +1,379 @@
-// State management.
-let state = {
-  status: 'idle', // idle, running, paused
-  packages: [],
-  currentIndex: 0,
-  completed: [],
-  failed: [],
-  skipped: [], // Already configured packages.
-  config: {
-    mode: 'configure', // configure or delete
-    owner: 'dxos',
-    repository: 'dxos',
-    workflow: 'publish-all.yml',
-    environment: '',
-    navigationMode: 'manual',
-    autoSubmit: false,
-    delay: 2,
-  },
-};
+// Storage key for run history (written by the service worker).
+const HISTORY_KEY = 'trustedPublisherHistory';
+
+// Storage key for the pace of page loads (written by the service worker, see background/pacing.js).
+const PACING_KEY = 'trustedPublisherPacing';
+
+// Config of the stuck package watchdog (see background/watchdog.js): a timeout
+// per package phase and the number of reloads.
+const WATCHDOG_CONFIG_KEYS = ['navigationTimeout', 'renderTimeout', 'submitTimeout', 'successTimeout', 'stuckRetries'];
+
+// Past runs, newest first.
+let history = [];
+
+// Current pace of page loads, and the timer counting down a cooldown.
+let pacing = null;
+let pacingTimer = null;
+
+// Filename of the last workflow file dropped or picked (pasted text has none).
+let workflowFilename = '';
+
+// Named profiles ({ active, profiles }).
+let profileStore = { active: null, profiles: {} };
+
+// Plan list last put in the plan textarea, so re-renders keep the user's edits.
+let renderedPlanList = '';
+
+// State management (a copy of the state owned by the service worker).
+let state = createInitialState();
 
 // DOM elements.
 const elements = {
+  profile: document.getElementById('profile'),
+  renameProfileBtn: document.getElementById('renameProfileBtn'),
+  duplicateProfileBtn: document.getElementById('duplicateProfileBtn'),
+  deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+  importProfilesBtn: document.getElementById('importProfilesBtn'),
+  exportProfilesBtn: document.getElementById('exportProfilesBtn'),
+  profileFile: document.getElementById('profileFile'),
   mode: document.getElementById('mode'),
+  dryRun: document.getElementById('dryRun'),
+  dryRunGroup: document.getElementById('dryRunGroup'),
+  verify: document.getElementById('verify'),
+  verifyGroup: document.getElementById('verifyGroup'),
+  publishingAccess: document.getElementById('publishingAccess'),
+  publishingAccessGroup: document.getElementById('publishingAccessGroup'),
+  provider: document.getElementById('provider'),
+  githubFields: document.getElementById('githubFields'),
+  gitlabFields: document.getElementById('gitlabFields'),
   owner: document.getElementById('owner'),
   repository: document.getElementById('repository'),
   workflow: document.getElementById('workflow'),
+  namespace: document.getElementById('namespace'),
+  project: document.getElementById('project'),
+  ciFile: document.getElementById('ciFile'),
   environment: document.getElementById('environment'),
+  workflowYamlGroup: document.getElementById('workflowYamlGroup'),
+  workflowYaml: document.getElementById('workflowYaml'),
+  workflowFile: document.getElementById('workflowFile'),
+  parseWorkflowBtn: document.getElementById('parseWorkflowBtn'),
+  workflowAnalysis: document.getElementById('workflowAnalysis'),
   navigationMode: document.getElementById('navigationMode'),
+  runTarget: document.getElementById('runTarget'),
+  notifications: document.getElementById('notifications'),
   autoSubmit: document.getElementById('autoSubmit'),
   autoSubmitGroup: document.getElementById('autoSubmitGroup'),
   delay: document.getElementById('delay'),
   delayGroup: document.getElementById('delayGroup'),
+  navigationTimeout: document.getElementById('navigationTimeout'),
+  renderTimeout: document.getElementById('renderTimeout'),
+  submitTimeout: document.getElementById('submitTimeout'),
+  successTimeout: document.getElementById('successTimeout'),
+  stuckRetries: document.getElementById('stuckRetries'),
+  concurrency: document.getElementById('concurrency'),
+  concurrencyGroup: document.getElementById('concurrencyGroup'),
+  registry: document.getElementById('registry'),
   packages: document.getElementById('packages'),
+  packageProblems: document.getElementById('packageProblems'),
+  importPackagesBtn: document.getElementById('importPackagesBtn'),
+  packageFile: document.getElementById('packageFile'),
+  scope: document.getElementById('scope'),
+  importScopeBtn: document.getElementById('importScopeBtn'),
+  scopeResults: document.getElementById('scopeResults'),
+  scopeList: document.getElementById('scopeList'),
+  scopeSelectAllBtn: document.getElementById('scopeSelectAllBtn'),
+  scopeSelectNoneBtn: document.getElementById('scopeSelectNoneBtn'),
+  scopeAddBtn: document.getElementById('scopeAddBtn'),
   startBtn: document.getElementById('startBtn'),
   pauseBtn: document.getElementById('pauseBtn'),
   resumeBtn: document.getElementById('resumeBtn'),
   resetBtn: document.getElementById('resetBtn'),
+  reportFormat: document.getElementById('reportFormat'),
+  exportBtn: document.getElementById('exportBtn'),
   nextBtn: document.getElementById('nextBtn'),
   fillBtn: document.getElementById('fillBtn'),
   retryBtn: document.getElementById('retryBtn'),
+  retryFailedBtn: document.getElementById('retryFailedBtn'),
   skipBtn: document.getElementById('skipBtn'),
+  showTabBtn: document.getElementById('showTabBtn'),
   progressText: document.getElementById('progressText'),
   currentPackage: document.getElementById('currentPackage'),
   progressFill: document.getElementById('progressFill'),
+  pacingInfo: document.getElementById('pacingInfo'),
   completedCount: document.getElementById('completedCount'),
+  updatedCount: document.getElementById('updatedCount'),
   skippedCount: document.getElementById('skippedCount'),
   failedCount: document.getElementById('failedCount'),
+  unverifiedCount: document.getElementById('unverifiedCount'),
   pendingCount: document.getElementById('pendingCount'),
+  auditCount: document.getElementById('auditCount'),
+  planCount: document.getElementById('planCount'),
   resultsList: document.getElementById('resultsList'),
+  planListGroup: document.getElementById('planListGroup'),
+  planSummary: document.getElementById('planSummary'),
+  planList: document.getElementById('planList'),
+  usePlanBtn: document.getElementById('usePlanBtn'),
   statusMessage: document.getElementById('statusMessage'),
+  historyRun: document.getElementById('historyRun'),
+  historyFilter: document.getElementById('historyFilter'),
+  historyConfig: document.getElementById('historyConfig'),
+  historyList: document.getElementById('historyList'),
+  clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+  totpSecretGroup: document.getElementById('totpSecretGroup'),
+  totpSecret: document.getElementById('totpSecret'),
+  totpPassphrase: document.getElementById('totpPassphrase'),
+  totpStatus: document.getElementById('totpStatus'),
+  saveTotpBtn: document.getElementById('saveTotpBtn'),
+  unlockTotpBtn: document.getElementById('unlockTotpBtn'),
+  lockTotpBtn: document.getElementById('lockTotpBtn'),
+  removeTotpBtn: document.getElementById('removeTotpBtn'),
 };
 
 // Initialize popup.
 async function init() {
   await loadState();
+  await loadProfileStore();
+  await loadHistory();
+  await loadPacing();
+  await renderTotpStatus();
   updateUI();
   setupEventListeners();
   setupTabs();
+  showShortcuts();
+}
+
+// Buttons with a keyboard shortcut (see "commands" in the manifest).
+const SHORTCUT_BUTTONS = {
+  'next-package': ['nextBtn'],
+  'skip-package': ['skipBtn'],
+  'retry-package': ['retryBtn'],
+  'fill-page': ['fillBtn'],
+  'toggle-pause': ['pauseBtn', 'resumeBtn'],
+};
+
+// Show each button's shortcut in its tooltip.
+async function showShortcuts() {
+  for (const { name, shortcut } of await chrome.commands.getAll()) {
+    for (const button of SHORTCUT_BUTTONS[name] || []) {
+      if (shortcut) {
+        elements[button].title = `Shortcut: ${shortcut}`;
+      }
+    }
+  }
 }
 
 // Load state from storage.
 async function loadState() {
   const stored = await chrome.storage.local.get(['trustedPublisherState']);
   if (stored.trustedPublisherState) {
-    state = { ...state, ...stored.trustedPublisherState };
-    // Ensure skipped array exists (migration for older storage).
-    if (!state.skipped) {
-      state.skipped = [];
-    }
+    state = normalizeState(stored.trustedPublisherState);
   }
 
   // Populate form fields.
   elements.mode.value = state.config.mode || 'configure';
+  elements.dryRun.value = String(state.config.dryRun);
+  elements.verify.value = String(state.config.verify);
+  elements.publishingAccess.value = state.config.publishingAccess;
+  elements.provider.value = getProviderId(state.config);
   elements.owner.value = state.config.owner;
   elements.repository.value = state.config.repository;
   elements.workflow.value = state.config.workflow;
+  elements.namespace.value = state.config.namespace;
+  elements.project.value = state.config.project;
+  elements.ciFile.value = state.config.ciFile;
   elements.environment.value = state.config.environment;
   elements.navigationMode.value = state.config.navigationMode;
+  elements.runTarget.value = state.config.runTarget;
+  elements.notifications.value = String(state.config.notifications);
+  elements.concurrency.value = state.config.concurrency;
   elements.autoSubmit.value = String(state.config.autoSubmit);
   elements.delay.value = state.config.delay;
-  elements.packages.value = state.packages.join('\n');
+  for (const key of WATCHDOG_CONFIG_KEYS) {
+    elements[key].value = state.config[key];
+  }
+  elements.registry.value = state.config.registry || DEFAULT_REGISTRY;
+  elements.packages.value = formatPackages(state.packages, state.overrides);
 
-  // Show/hide groups based on mode and navigation mode.
+  // Show/hide groups based on mode, provider and navigation mode.
   updateModeVisibility();
+  updateProviderVisibility();
   updateDelayVisibility();
 }
 
-// Save state to storage.
+// Send a queue event to the service worker and adopt the resulting state.
+async function sendQueueEvent(event) {
+  const response = await chrome.runtime.sendMessage({ action: 'queueEvent', event });
+  if (response?.error) {
+    showStatus('Queue error: ' + response.error, 'error');
+    return;
+  }
+  if (response) {
+    state = normalizeState(response);
+    updateUI();
+  }
+}
+
+// Save config and package list (the service worker only takes the list while idle).
 async function saveState() {
-  await chrome.storage.local.set({ trustedPublisherState: state });
+  await sendQueueEvent({
+    type: 'configure',
+    config: state.config,
+    packages: state.packages,
+    overrides: state.overrides,
+  });
 }
 
 // Save config from form inputs.
 function saveConfig() {
   state.config = {
     mode: elements.mode.value,
+    dryRun: elements.dryRun.value === 'true',
+    verify: elements.verify.value === 'true',
+    publishingAccess: elements.publishingAccess.value,
+    provider: elements.provider.value,
     owner: elements.owner.value.trim(),
     repository: elements.repository.value.trim(),
     workflow: elements.workflow.value.trim(),
+    namespace: elements.namespace.value.trim().replace(/^\/+|\/+$/g, ''),
+    project: elements.project.value.trim(),
+    ciFile: elements.ciFile.value.trim(),
     environment: elements.environment.value.trim(),
     navigationMode: elements.navigationMode.value,
+    runTarget: elements.runTarget.value,
+    notifications: elements.notifications.value === 'true',
+    concurrency: parseInt(elements.concurrency.value, 10) || 1,
     autoSubmit: elements.autoSubmit.value === 'true',
     delay: parseInt(elements.delay.value, 10) || 2,
+    ...Object.fromEntries(WATCHDOG_CONFIG_KEYS.map((key) => [key, readCount(elements[key], DEFAULT_CONFIG[key])])),
+    registry: normalizeRegistry(elements.registry.value),
   };
   saveState();
+  saveActiveProfile();
 }
 
-// Update delay group visibility.
+// Read a whole number of at least 0 from an input, or the default if it isn't one.
+function readCount(input, fallback) {
+  const value = parseInt(input.value, 10);
+  return value >= 0 ? value : fallback;
+}
+
+// Update delay and concurrency group visibility (auto navigation only).
 function updateDelayVisibility() {
   if (elements.navigationMode.value === 'auto') {
     elements.delayGroup.classList.remove('hidden');
+    elements.concurrencyGroup.classList.remove('hidden');
   } else {
     elements.delayGroup.classList.add('hidden');
+    elements.concurrencyGroup.classList.add('hidden');
+  }
+}
+
+// Show the fields of the chosen provider. Deriving config from a workflow file is GitHub only.
+function updateProviderVisibility() {
+  const gitlab = elements.provider.value === 'gitlab';
+  elements.githubFields.classList.toggle('hidden', gitlab);
+  elements.gitlabFields.classList.toggle('hidden', !gitlab);
+  elements.workflowYamlGroup.classList.toggle('hidden', gitlab);
+  if (gitlab) {
+    elements.workflowAnalysis.classList.add('hidden');
   }
 }
 
-// Update visibility based on mode (configure vs delete).
+// Update visibility based on mode (configure vs update vs delete vs audit).
 function updateModeVisibility() {
-  const isDeleteMode = elements.mode.value === 'delete';
-  // Hide autoSubmit in delete mode (always auto-submit for delete).
-  if (isDeleteMode) {
+  const mode = elements.mode.value;
+  // Hide autoSubmit in update/delete mode (always auto-submit) and audit mode (never submits).
+  if (mode === 'update' || mode === 'delete' || mode === 'audit') {
     elements.autoSubmitGroup.classList.add('hidden');
   } else {
     elements.autoSubmitGroup.classList.remove('hidden');
   }
+  // Audit is read-only already.
+  elements.dryRunGroup.classList.toggle('hidden', mode === 'audit');
+  // Only set up and updated publishers are verified.
+  elements.verifyGroup.classList.toggle('hidden', !VERIFIED_MODES.includes(mode));
+  // Publishing access is set where a trusted publisher is set up or updated.
+  elements.publishingAccessGroup.classList.toggle('hidden', !VERIFIED_MODES.includes(mode));
 }
 
-// Parse package list.
-function parsePackages(text) {
-  return text
-    .split('\n')
-    .map((line) => line.trim())
-    .filter((line) => line && !line.startsWith('#'));
+// Parse the package list into state, and show the entries that were left out.
+function readPackageList() {
+  const parsed = parsePackages(elements.packages.value);
+  ({ packages: state.packages, overrides: state.overrides } = parsed);
+  renderPackageProblems(parsed);
+  return parsed;
+}
+
+// List invalid entries (click one to select its line) and removed duplicates under the package list.
+function renderPackageProblems({ invalid, duplicates }) {
+  const items = invalid.map(
+    ({ line, text, name, error }) =>
+      `<button data-line="${line}" title="${escapeHtml(text)}">Line ${line}: ${escapeHtml(name)} - ${escapeHtml(error)}</button>`
+  );
+  if (duplicates.length > 0) {
+    items.push(`<div class="note">Duplicates left out: ${escapeHtml(Array.from(new Set(duplicates)).join(', '))}</div>`);
+  }
+  elements.packageProblems.innerHTML = items.join('');
+  elements.packageProblems.classList.toggle('hidden', items.length === 0);
+}
+
+// Select a line (counted from 1) of the package list.
+function selectPackageLine(line) {
+  const lines = elements.packages.value.split('\n');
+  const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+  elements.packages.focus();
+  elements.packages.setSelectionRange(start, start + (lines[line - 1] || '').length);
+}
+
+// Expand glob patterns in the package list against their scopes' registry listings.
+async function expandPackageListGlobs() {
+  if (!hasPackageGlobs(elements.packages.value)) return;
+
+  const registry = normalizeRegistry(elements.registry.value);
+  showStatus('Expanding package patterns...', 'info');
+  try {
+    const { text, unmatched } = await expandPackageGlobs(elements.packages.value, (scope) =>
+      fetchScopePackages(scope, registry)
+    );
+    elements.packages.value = text;
+    if (unmatched.length > 0) {
+      showStatus(`No packages match ${unmatched.join(', ')}`, 'warning');
+    } else {
+      showStatus('Expanded package patterns', 'success');
+    }
+  } catch (error) {
+    showStatus('Failed to expand package patterns: ' + error.message, 'error');
+  }
+}
+
+// Handle package file import - append the packages of a list or package.json.
+async function handleImportPackageFile() {
+  const [file] = elements.packageFile.files;
+  elements.packageFile.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = parsePackageFile(file.name, await file.text());
+  } catch (error) {
+    showStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+    return;
+  }
+
+  const before = state.packages.length;
+  elements.packages.value = [elements.packages.value.trimEnd(), imported.trim()].filter(Boolean).join('\n');
+  await expandPackageListGlobs();
+  readPackageList();
+
+  await saveState();
+  saveActiveProfile();
+  updateUI();
+  showStatus(`Imported ${state.packages.length - before} packages from ${file.name}`, 'success');
+}
+
+// Get the effective config for a package, applying any per-package overrides.
+function getPackageConfig(pkg) {
+  return { ...state.config, ...(state.overrides[pkg] || {}) };
 }
 
 // Setup event listeners.
@@ -140,8 +383,14 @@ function setupEventListeners() {
     elements.owner,
     elements.repository,
     elements.workflow,
+    elements.namespace,
+    elements.project,
+    elements.ciFile,
     elements.environment,
     elements.delay,
+    elements.concurrency,
+    ...WATCHDOG_CONFIG_KEYS.map((key) => elements[key]),
+    elements.registry,
   ];
 
   configInputs.forEach((input) => {
@@ -154,19 +403,70 @@ function setupEventListeners() {
     saveConfig();
   });
 
+  elements.provider.addEventListener('change', () => {
+    updateProviderVisibility();
+    saveConfig();
+  });
+
   elements.navigationMode.addEventListener('change', () => {
     updateDelayVisibility();
     saveConfig();
   });
 
   elements.autoSubmit.addEventListener('change', saveConfig);
-
-  elements.packages.addEventListener('change', () => {
-    state.packages = parsePackages(elements.packages.value);
+  elements.dryRun.addEventListener('change', saveConfig);
+  elements.verify.addEventListener('change', saveConfig);
+  elements.publishingAccess.addEventListener('change', saveConfig);
+  elements.runTarget.addEventListener('change', saveConfig);
+  elements.notifications.addEventListener('change', saveConfig);
+
+  elements.packages.addEventListener('change', async () => {
+    await expandPackageListGlobs();
+    readPackageList();
     saveState();
+    saveActiveProfile();
     updateUI();
   });
 
+  elements.packageProblems.addEventListener('click', (event) => {
+    const line = event.target.closest('button')?.dataset.line;
+    if (line) selectPackageLine(Number(line));
+  });
+  elements.importPackagesBtn.addEventListener('click', () => elements.packageFile.click());
+  elements.packageFile.addEventListener('change', handleImportPackageFile);
+
+  // Workflow file handlers.
+  elements.parseWorkflowBtn.addEventListener('click', handleParseWorkflow);
+  elements.workflowYaml.addEventListener('input', () => {
+    workflowFilename = '';
+  });
+  elements.workflowFile.addEventListener('change', () => {
+    loadWorkflowFile(elements.workflowFile.files[0]);
+  });
+  elements.workflowYaml.addEventListener('dragover', (event) => event.preventDefault());
+  elements.workflowYaml.addEventListener('drop', (event) => {
+    const [file] = event.dataTransfer.files;
+    if (file) {
+      event.preventDefault();
+      loadWorkflowFile(file);
+    }
+  });
+
+  // Profile handlers.
+  elements.profile.addEventListener('change', handleSwitchProfile);
+  elements.renameProfileBtn.addEventListener('click', handleRenameProfile);
+  elements.duplicateProfileBtn.addEventListener('click', handleDuplicateProfile);
+  elements.deleteProfileBtn.addEventListener('click', handleDeleteProfile);
+  elements.exportProfilesBtn.addEventListener('click', handleExportProfiles);
+  elements.importProfilesBtn.addEventListener('click', () => elements.profileFile.click());
+  elements.profileFile.addEventListener('change', handleImportProfiles);
+
+  // Two-factor code handlers.
+  elements.saveTotpBtn.addEventListener('click', handleSaveTotp);
+  elements.unlockTotpBtn.addEventListener('click', handleUnlockTotp);
+  elements.lockTotpBtn.addEventListener('click', handleLockTotp);
+  elements.removeTotpBtn.addEventListener('click', handleRemoveTotp);
+
   // Button handlers.
   elements.startBtn.addEventListener('click', handleStart);
   elements.pauseBtn.addEventListener('click', handlePause);
@@ -175,7 +475,22 @@ function setupEventListeners() {
   elements.nextBtn.addEventListener('click', handleNext);
   elements.fillBtn.addEventListener('click', handleFillCurrent);
   elements.retryBtn.addEventListener('click', handleRetry);
+  elements.retryFailedBtn.addEventListener('click', handleRetryFailed);
   elements.skipBtn.addEventListener('click', handleSkip);
+  elements.showTabBtn.addEventListener('click', handleShowTab);
+  elements.exportBtn.addEventListener('click', handleExportReport);
+  elements.usePlanBtn.addEventListener('click', handleUsePlan);
+
+  // History handlers.
+  elements.historyRun.addEventListener('change', renderHistoryRun);
+  elements.historyFilter.addEventListener('input', renderHistoryRun);
+  elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
+
+  // Scope import handlers.
+  elements.importScopeBtn.addEventListener('click', handleImportScope);
+  elements.scopeSelectAllBtn.addEventListener('click', () => setScopeSelection(true));
+  elements.scopeSelectNoneBtn.addEventListener('click', () => setScopeSelection(false));
+  elements.scopeAddBtn.addEventListener('click', handleAddScopePackages);
 }
 
 // Setup result tabs.
@@ -193,124 +508,131 @@ function setupTabs() {
 // Handle start button.
 async function handleStart() {
   saveConfig();
-  state.packages = parsePackages(elements.packages.value);
+  await expandPackageListGlobs();
+  const { invalid } = readPackageList();
 
+  if (invalid.length > 0) {
+    showStatus(`Fix or remove the ${invalid.length} package entries with problems listed under the package list`, 'error');
+    return;
+  }
   if (state.packages.length === 0) {
     showStatus('Please enter at least one package', 'error');
     return;
   }
 
-  if (!state.config.owner || !state.config.repository || !state.config.workflow) {
-    showStatus('Please fill in all GitHub configuration fields', 'error');
+  // Every package needs its provider's required fields, from the config or its overrides.
+  if (state.config.mode !== 'audit') {
+    for (const pkg of state.packages) {
+      const missing = getMissingPublisherFields(getPackageConfig(pkg));
+      if (missing.length > 0) {
+        const { label } = getProvider(getPackageConfig(pkg));
+        showStatus(`Please fill in the ${label} fields (${missing.join(', ')}) for ${pkg}`, 'error');
+        return;
+      }
+    }
+  }
+
+  await startRun();
+
+  if (isDryRun(state.config)) {
+    document.querySelector('.tab[data-tab="plan"]').click();
+    showStatus('Dry run started: pages are only read, nothing is changed', 'info');
     return;
   }
 
-  state.status = 'running';
-  state.currentIndex = 0;
-  state.completed = [];
-  state.failed = [];
-  state.skipped = [];
+  const totp = await getTotpStatus();
+  if (totp.stored && !totp.unlocked && state.config.mode !== 'audit') {
+    showStatus('Two-factor codes are locked; OTP prompts will wait for you', 'warning');
+  }
+}
 
-  await saveState();
-  updateUI();
+// Start a new run over state.packages with the current config.
+async function startRun() {
+  await sendQueueEvent({
+    type: 'start',
+    packages: state.packages,
+    overrides: state.overrides,
+    config: state.config,
+  });
+}
+
+// Handle retry failed button - start a new pass over only the failed and unverified packages.
+async function handleRetryFailed() {
+  const failed = [...state.failed, ...state.unverified].filter(
+    (pkg) => !state.completed.includes(pkg) && !state.updated.includes(pkg)
+  );
+  if (failed.length === 0) {
+    showStatus('No failed or unverified packages to retry', 'error');
+    return;
+  }
+
+  // Same config and overrides; only the package list changes.
+  state.packages = failed;
+  elements.packages.value = formatPackages(state.packages, state.overrides);
+  showStatus(`Retrying ${failed.length} failed or unverified packages...`, 'info');
 
-  // Start processing.
-  await processCurrentPackage();
+  await startRun();
 }
 
 // Handle pause button.
 async function handlePause() {
-  state.status = 'paused';
-  await saveState();
-  updateUI();
+  await sendQueueEvent({ type: 'pause' });
   showStatus('Paused', 'warning');
 }
 
 // Handle resume button.
 async function handleResume() {
-  state.status = 'running';
-  await saveState();
-  updateUI();
+  await sendQueueEvent({ type: 'resume' });
   showStatus('Resumed', 'info');
-
-  // Continue processing.
-  await processCurrentPackage();
 }
 
 // Handle reset button.
 async function handleReset() {
-  state.status = 'idle';
-  state.currentIndex = 0;
-  state.completed = [];
-  state.failed = [];
-  state.skipped = [];
-
-  await saveState();
-  updateUI();
+  await sendQueueEvent({ type: 'reset' });
   showStatus('Reset complete', 'info');
 }
 
-// Handle next button.
+// Handle next button - mark the current package completed (unless it has a result) and move on.
 async function handleNext() {
-  // Mark current as completed and move to next.
-  const currentPkg = state.packages[state.currentIndex];
-  if (currentPkg && !state.completed.includes(currentPkg) && !state.failed.includes(currentPkg)) {
-    state.completed.push(currentPkg);
-  }
-
-  state.currentIndex++;
-  await saveState();
-
-  if (state.currentIndex >= state.packages.length) {
-    state.status = 'idle';
-    await saveState();
-    updateUI();
-    showStatus('All packages processed!', 'success');
-    return;
+  const currentPkg = getCurrentPackage(state);
+  if (currentPkg && !state.results[currentPkg]) {
+    logEvent(currentPkg, 'manual-next');
   }
-
-  updateUI();
-  await processCurrentPackage();
+  await sendQueueEvent({ type: 'next' });
 }
 
 // Handle retry current package button.
 async function handleRetry() {
-  if (state.currentIndex >= state.packages.length) {
+  if (!getCurrentPackage(state)) {
     showStatus('No package to retry', 'error');
     return;
   }
 
   showStatus('Retrying current package...', 'info');
-  await processCurrentPackage();
+  await sendQueueEvent({ type: 'retry' });
 }
 
 // Handle skip current package button.
 async function handleSkip() {
-  const currentPkg = state.packages[state.currentIndex];
+  const currentPkg = getCurrentPackage(state);
   if (!currentPkg) {
     showStatus('No package to skip', 'error');
     return;
   }
 
-  // Add to skipped.
-  if (!state.skipped.includes(currentPkg)) {
-    state.skipped.push(currentPkg);
+  logEvent(currentPkg, 'skipped', { reason: 'manual-skip' });
+  await sendQueueEvent({ type: 'skip' });
+  if (state.status !== 'idle') {
+    showStatus(`Skipped ${currentPkg}, moving to next...`, 'info');
   }
+}
 
-  state.currentIndex++;
-  await saveState();
-
-  if (state.currentIndex >= state.packages.length) {
-    state.status = 'idle';
-    await saveState();
-    updateUI();
-    showStatus('All packages processed!', 'success');
-    return;
+// Handle show run tab button - bring the tab the run works in to the front.
+async function handleShowTab() {
+  const response = await chrome.runtime.sendMessage({ action: 'showRunTab' });
+  if (!response?.success) {
+    showStatus('The run tab is not open', 'error');
   }
-
-  updateUI();
-  showStatus(`Skipped ${currentPkg}, moving to next...`, 'info');
-  await processCurrentPackage();
 }
 
 // Handle fill current page button.
@@ -324,10 +646,14 @@ async function handleFillCurrent() {
     return;
   }
 
+  // Apply overrides if the page belongs to a package in the list.
+  const match = new URL(tab.url).pathname.match(/\/package\/(.+?)\/access/);
+  const pkg = match ? decodeURIComponent(match[1]) : null;
+
   try {
     await chrome.tabs.sendMessage(tab.id, {
       action: 'fillForm',
-      config: state.config,
+      config: getPackageConfig(pkg),
     });
     showStatus('Form filled', 'success');
   } catch (error) {
@@ -335,27 +661,361 @@ async function handleFillCurrent() {
   }
 }
 
-// Process current package.
-async function processCurrentPackage() {
-  if (state.status !== 'running') return;
-  if (state.currentIndex >= state.packages.length) {
-    state.status = 'idle';
-    await saveState();
-    updateUI();
-    showStatus('All packages processed!', 'success');
+// Make sure the extension may fetch from the registry (custom registries need a grant).
+async function ensureRegistryPermission(registry) {
+  const origin = `${new URL(registry).origin}/*`;
+  if (origin === `${DEFAULT_REGISTRY}/*`) {
+    return true;
+  }
+  return chrome.permissions.request({ origins: [origin] });
+}
+
+// Load profiles, creating a default profile from the current config on first use.
+async function loadProfileStore() {
+  profileStore = await loadProfiles();
+  if (!profileStore.active || !profileStore.profiles[profileStore.active]) {
+    const name = Object.keys(profileStore.profiles)[0] || DEFAULT_PROFILE_NAME;
+    if (!profileStore.profiles[name]) {
+      profileStore.profiles[name] = createProfile(state.config, elements.packages.value);
+    }
+    profileStore.active = name;
+    await saveProfiles(profileStore);
+  }
+  renderProfiles();
+}
+
+// Render the profile picker.
+function renderProfiles() {
+  elements.profile.innerHTML = Object.keys(profileStore.profiles)
+    .sort()
+    .map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+    .join('');
+  elements.profile.value = profileStore.active;
+  elements.deleteProfileBtn.disabled = Object.keys(profileStore.profiles).length <= 1;
+}
+
+// Save the current config and package list into the active profile.
+function saveActiveProfile() {
+  if (!profileStore.active) return;
+  profileStore.profiles[profileStore.active] = createProfile(state.config, elements.packages.value);
+  saveProfiles(profileStore);
+}
+
+// Load a profile's config and package list into the form and state.
+async function applyProfile(name) {
+  const profile = profileStore.profiles[name];
+  profileStore.active = name;
+  await saveProfiles(profileStore);
+
+  for (const field of PROFILE_FIELDS) {
+    elements[field].value = profile.config[field] || '';
+  }
+  // Profiles from before GitLab support have no provider.
+  elements.provider.value = getProviderId(profile.config);
+  updateProviderVisibility();
+  elements.packages.value = profile.packages;
+  readPackageList();
+
+  saveConfig();
+  renderProfiles();
+  updateUI();
+}
+
+// Handle profile picker change.
+async function handleSwitchProfile() {
+  const name = elements.profile.value;
+  if (state.status !== 'idle') {
+    elements.profile.value = profileStore.active;
+    showStatus('Stop or reset the current run before switching profiles', 'error');
+    return;
+  }
+
+  await applyProfile(name);
+  showStatus(`Switched to profile "${name}"`, 'info');
+}
+
+// Handle rename profile button.
+async function handleRenameProfile() {
+  const oldName = profileStore.active;
+  const newName = prompt('Rename profile', oldName)?.trim();
+  if (!newName || newName === oldName) return;
+  if (profileStore.profiles[newName]) {
+    showStatus(`A profile named "${newName}" already exists`, 'error');
     return;
   }
 
-  const pkg = state.packages[state.currentIndex];
-  showStatus(`Processing: ${pkg}`, 'info');
+  profileStore.profiles[newName] = profileStore.profiles[oldName];
+  delete profileStore.profiles[oldName];
+  profileStore.active = newName;
+  await saveProfiles(profileStore);
+  renderProfiles();
+  showStatus(`Renamed profile to "${newName}"`, 'success');
+}
+
+// Handle duplicate profile button - copy the active profile and switch to the copy.
+async function handleDuplicateProfile() {
+  const source = profileStore.active;
+  const name = prompt('Name for the new profile', uniqueProfileName(profileStore, source))?.trim();
+  if (!name) return;
+  if (profileStore.profiles[name]) {
+    showStatus(`A profile named "${name}" already exists`, 'error');
+    return;
+  }
 
-  // Navigate to package access page.
-  const url = `https://www.npmjs.com/package/${pkg}/access`;
+  profileStore.profiles[name] = structuredClone(profileStore.profiles[source]);
+  await applyProfile(name);
+  showStatus(`Created profile "${name}"`, 'success');
+}
 
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  await chrome.tabs.update(tab.id, { url });
+// Handle delete profile button.
+async function handleDeleteProfile() {
+  const name = profileStore.active;
+  if (Object.keys(profileStore.profiles).length <= 1) return;
+  if (state.status !== 'idle') {
+    showStatus('Stop or reset the current run before deleting profiles', 'error');
+    return;
+  }
+  if (!confirm(`Delete profile "${name}"?`)) return;
+
+  delete profileStore.profiles[name];
+  await applyProfile(Object.keys(profileStore.profiles).sort()[0]);
+  showStatus(`Deleted profile "${name}"`, 'info');
+}
+
+// Handle export profiles button - download all profiles as JSON.
+function handleExportProfiles() {
+  const blob = new Blob([exportProfiles(profileStore)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'trusted-publisher-profiles.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Show whether a TOTP secret is stored and unlocked, with the current code to check
+// against your authenticator app.
+async function renderTotpStatus() {
+  const totp = await getTotpStatus();
+  elements.totpSecretGroup.classList.toggle('hidden', totp.stored);
+  elements.saveTotpBtn.disabled = totp.stored;
+  elements.unlockTotpBtn.disabled = !totp.stored || totp.unlocked;
+  elements.lockTotpBtn.disabled = !totp.unlocked;
+  elements.removeTotpBtn.disabled = !totp.stored;
+
+  if (!totp.stored) {
+    elements.totpStatus.textContent = 'Not set up. OTP prompts wait for you to enter the code.';
+  } else if (!totp.unlocked) {
+    elements.totpStatus.textContent = 'Stored and locked. Unlock with the passphrase to fill OTP prompts this session.';
+  } else {
+    const code = await generateTotp(await getUnlockedTotpSecret());
+    elements.totpStatus.textContent = `Unlocked for this browser session. Current code: ${code} (${getTotpRemaining()}s left)`;
+  }
+}
+
+// Handle save TOTP button - encrypt the secret with the passphrase and store it.
+async function handleSaveTotp() {
+  try {
+    await saveTotpSecret(elements.totpSecret.value, elements.totpPassphrase.value);
+  } catch (error) {
+    showStatus('Could not save TOTP secret: ' + error.message, 'error');
+    return;
+  }
+  elements.totpSecret.value = '';
+  elements.totpPassphrase.value = '';
+  await renderTotpStatus();
+  showStatus('TOTP secret saved and unlocked', 'success');
+}
+
+// Handle unlock TOTP button.
+async function handleUnlockTotp() {
+  try {
+    await unlockTotp(elements.totpPassphrase.value);
+  } catch (error) {
+    showStatus('Could not unlock: ' + error.message, 'error');
+    return;
+  }
+  elements.totpPassphrase.value = '';
+  await renderTotpStatus();
+  showStatus('Two-factor codes unlocked', 'success');
+}
+
+// Handle lock TOTP button.
+async function handleLockTotp() {
+  await lockTotp();
+  await renderTotpStatus();
+  showStatus('Two-factor codes locked', 'info');
+}
+
+// Handle remove TOTP button.
+async function handleRemoveTotp() {
+  if (!confirm('Remove the stored TOTP secret?')) return;
+  await removeTotpSecret();
+  await renderTotpStatus();
+  showStatus('TOTP secret removed', 'info');
+}
 
+// Handle import profiles file - add profiles, renaming any that clash with existing ones.
+async function handleImportProfiles() {
+  const [file] = elements.profileFile.files;
+  elements.profileFile.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = parseProfilesImport(await file.text());
+  } catch (error) {
+    showStatus('Invalid profiles file: ' + error.message, 'error');
+    return;
+  }
+
+  for (const [name, profile] of Object.entries(imported)) {
+    profileStore.profiles[uniqueProfileName(profileStore, name)] = profile;
+  }
+  await saveProfiles(profileStore);
+  renderProfiles();
+  showStatus(`Imported ${Object.keys(imported).length} profiles`, 'success');
+}
+
+// Read a workflow file into the textarea and parse it.
+async function loadWorkflowFile(file) {
+  if (!file) return;
+  elements.workflowYaml.value = await file.text();
+  workflowFilename = file.name;
+  handleParseWorkflow();
+}
+
+// Handle parse workflow button - fill config from the workflow file.
+function handleParseWorkflow() {
+  const text = elements.workflowYaml.value;
+  if (!text.trim()) {
+    showStatus('Paste or drop a workflow file first', 'error');
+    return;
+  }
+
+  let analysis;
+  try {
+    analysis = analyzeWorkflow(text, workflowFilename);
+  } catch (error) {
+    elements.workflowAnalysis.classList.add('hidden');
+    showStatus('Could not parse workflow: ' + error.message, 'error');
+    return;
+  }
+
+  // Pasted text has no filename, so keep the workflow field as is.
+  if (analysis.workflow) {
+    elements.workflow.value = analysis.workflow;
+  }
+  // With a single publish job there's nothing to choose.
+  if (analysis.jobs.length === 1) {
+    elements.environment.value = analysis.jobs[0].environment;
+  }
+  saveConfig();
+
+  renderWorkflowAnalysis(analysis);
+  showStatus(
+    `Found ${analysis.jobs.length} publish job(s)` + (analysis.workflow ? ` in ${analysis.workflow}` : ''),
+    analysis.warnings.length > 0 ? 'warning' : 'success'
+  );
+}
+
+// Render publish jobs (with a button to use each one's environment) and warnings.
+function renderWorkflowAnalysis(analysis) {
+  const jobs = analysis.jobs.map(
+    (job, index) => `
+      <div class="workflow-job">
+        <button data-job="${index}">Use</button>
+        <span>${escapeHtml(job.name)}: environment ${escapeHtml(job.environment || '(none)')}</span>
+      </div>`
+  );
+  const warnings = analysis.warnings.map((warning) => `<div class="workflow-warning">${escapeHtml(warning)}</div>`);
+
+  elements.workflowAnalysis.innerHTML = jobs.join('') + warnings.join('');
+  elements.workflowAnalysis.classList.remove('hidden');
+
+  elements.workflowAnalysis.querySelectorAll('button[data-job]').forEach((button) => {
+    button.addEventListener('click', () => {
+      const job = analysis.jobs[Number(button.dataset.job)];
+      elements.environment.value = job.environment;
+      saveConfig();
+      showStatus(`Using environment from job "${job.name}"`, 'info');
+    });
+  });
+}
+
+// Handle import from scope button.
+async function handleImportScope() {
+  const scope = elements.scope.value.trim();
+  if (!scope) {
+    showStatus('Please enter a scope or org', 'error');
+    return;
+  }
+
+  const registry = normalizeRegistry(elements.registry.value);
+  try {
+    // Request permission first, while we still have the user gesture.
+    if (!(await ensureRegistryPermission(registry))) {
+      showStatus(`No permission to access ${registry}`, 'error');
+      return;
+    }
+  } catch (error) {
+    showStatus('Invalid registry URL: ' + error.message, 'error');
+    return;
+  }
+
+  saveConfig();
+  showStatus(`Fetching packages in ${scope}...`, 'info');
+
+  try {
+    const packages = await fetchScopePackages(scope, registry);
+    renderScopeResults(packages);
+    showStatus(`Found ${packages.length} packages in ${scope}`, packages.length > 0 ? 'success' : 'warning');
+  } catch (error) {
+    showStatus('Failed to fetch packages: ' + error.message, 'error');
+  }
+}
+
+// Render the checklist of packages found in a scope.
+// Packages already in the list are shown but not selected.
+function renderScopeResults(packages) {
+  elements.scopeList.innerHTML = packages
+    .map((pkg) => {
+      const existing = state.packages.includes(pkg);
+      // Names come from the registry, which can be set to any URL.
+      const name = escapeHtml(pkg);
+      return `<label class="${existing ? 'existing' : ''}"><input type="checkbox" value="${name}"${existing ? '' : ' checked'}>${name}</label>`;
+    })
+    .join('');
+  elements.scopeResults.classList.toggle('hidden', packages.length === 0);
+}
+
+// Check or uncheck every package in the scope checklist.
+function setScopeSelection(checked) {
+  elements.scopeList.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+    checkbox.checked = checked;
+  });
+}
+
+// Handle add selected button - append ticked scope packages to the package list.
+async function handleAddScopePackages() {
+  const selected = Array.from(elements.scopeList.querySelectorAll('input[type="checkbox"]:checked'))
+    .map((checkbox) => checkbox.value)
+    .filter((pkg) => !state.packages.includes(pkg));
+
+  if (selected.length === 0) {
+    showStatus('No new packages selected', 'warning');
+    return;
+  }
+
+  const text = elements.packages.value.trimEnd();
+  elements.packages.value = [text, ...selected].filter(Boolean).join('\n');
+  readPackageList();
+
+  await saveState();
+  saveActiveProfile();
   updateUI();
+  elements.scopeResults.classList.add('hidden');
+  showStatus(`Added ${selected.length} packages`, 'success');
 }
 
 // Update UI based on state.
@@ -371,28 +1031,32 @@ function updateUI() {
   elements.resumeBtn.disabled = !isPaused;
   elements.nextBtn.disabled = !isRunning || !isManualMode;
   elements.retryBtn.disabled = !isRunning && !isPaused;
+  elements.retryFailedBtn.disabled = isRunning || state.failed.length + state.unverified.length === 0;
   elements.skipBtn.disabled = !isRunning && !isPaused;
+  elements.showTabBtn.disabled = !state.lanes.some((lane) => lane.tabId);
 
-  // Progress display.
+  // Progress display (packages started so far, and the ones being worked on).
   const total = state.packages.length;
-  const current = Math.min(state.currentIndex + 1, total);
-  elements.progressText.textContent = `${current} of ${total}`;
-
-  const currentPkg = state.packages[state.currentIndex];
-  elements.currentPackage.textContent = currentPkg || '';
+  elements.progressText.textContent = `${Math.min(state.currentIndex, total)} of ${total}`;
+  elements.currentPackage.textContent = getActivePackages(state).join(', ');
 
-  const done = state.completed.length + state.skipped.length;
+  const done = state.completed.length + state.updated.length + state.skipped.length + state.unverified.length;
   const progress = total > 0 ? (done / total) * 100 : 0;
   elements.progressFill.style.width = `${progress}%`;
 
   // Counts.
   elements.completedCount.textContent = state.completed.length;
+  elements.updatedCount.textContent = state.updated.length;
   elements.skippedCount.textContent = state.skipped.length;
   elements.failedCount.textContent = state.failed.length;
+  elements.unverifiedCount.textContent = state.unverified.length;
   elements.pendingCount.textContent = Math.max(
     0,
-    state.packages.length - state.completed.length - state.failed.length - state.skipped.length
+    state.packages.length - RESULT_LISTS.reduce((count, list) => count + state[list].length, 0)
   );
+  elements.auditCount.textContent = Object.keys(state.audit).length;
+  elements.planCount.textContent = Object.keys(state.plan).length;
+  renderPlanList();
 
   // Render results for active tab.
   const activeTab = document.querySelector('.tab.active');
@@ -403,31 +1067,260 @@ function updateUI() {
 
 // Render results list.
 function renderResults(type) {
+  if (type === 'audit') {
+    renderAudit();
+    return;
+  }
+  if (type === 'plan') {
+    renderPlan();
+    return;
+  }
+
   let items = [];
 
   switch (type) {
     case 'completed':
       items = state.completed;
       break;
+    case 'updated':
+      items = state.updated;
+      break;
     case 'failed':
       items = state.failed;
       break;
     case 'skipped':
       items = state.skipped;
       break;
+    case 'unverified':
+      items = state.unverified;
+      break;
     case 'pending':
-      items = state.packages.filter(
-        (p) =>
-          !state.completed.includes(p) && !state.failed.includes(p) && !state.skipped.includes(p)
-      );
+      items = state.packages.filter((p) => !RESULT_LISTS.some((list) => state[list].includes(p)));
       break;
   }
 
   elements.resultsList.innerHTML = items
-    .map((pkg) => `<div class="result-item ${type}">${pkg}</div>`)
+    .map((pkg) => {
+      if (type === 'failed' || type === 'unverified') {
+        const { reason = 'unknown', error = '' } = state.results[pkg] || {};
+        return `<div class="result-item ${type}" title="${escapeHtml(error)}">${escapeHtml(pkg)}<span class="reason">${escapeHtml(reason)}</span></div>`;
+      }
+      const update = type === 'updated' && state.updates[pkg];
+      const title = update
+        ? ` title="${escapeHtml(describePublisher(update.before))} → ${escapeHtml(describePublisher(update.after))}"`
+        : '';
+      return `<div class="result-item ${type}"${title}>${escapeHtml(pkg)}</div>`;
+    })
+    .join('');
+}
+
+// Render audit table of existing trusted publishers.
+function renderAudit() {
+  const rows = state.packages
+    .filter((pkg) => state.audit[pkg] || (state.config.mode === 'audit' && state.skipped.includes(pkg)))
+    .map((pkg) => {
+      const entry = state.audit[pkg];
+      if (!entry) {
+        return `<tr class="not-found"><td>${escapeHtml(pkg)}</td><td colspan="4">Not found (404)</td></tr>`;
+      }
+      const access = escapeHtml(describePublishingAccess(entry.publishingAccess) || '-');
+      if (!entry.configured) {
+        return `<tr class="unconfigured"><td>${escapeHtml(pkg)}</td><td colspan="3">Not configured</td><td>${access}</td></tr>`;
+      }
+      return `<tr><td>${escapeHtml(pkg)}</td><td>${escapeHtml(getProvider(entry).label)} ${escapeHtml(getPublisherSource(entry))}</td><td>${escapeHtml(getPublisherFile(entry))}</td><td>${escapeHtml(entry.environment || '-')}</td><td>${access}</td></tr>`;
+    });
+
+  elements.resultsList.innerHTML = `
+    <table class="audit-table">
+      <thead><tr><th>Package</th><th>Repository / Project</th><th>Workflow / CI File</th><th>Env</th><th>Access</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>`;
+}
+
+// Render each package's planned action from the dry run.
+function renderPlan() {
+  elements.resultsList.innerHTML = state.packages
+    .filter((pkg) => state.plan[pkg])
+    .map((pkg) => {
+      const type = state.plan[pkg].startsWith('would-skip') ? 'skipped' : 'completed';
+      return `<div class="result-item ${type}">${escapeHtml(pkg)}<span class="reason">${state.plan[pkg]}</span></div>`;
+    })
+    .join('');
+}
+
+// Show the dry run's summary and the packages a real run would change, as an
+// editable list (with their overrides) for the real run.
+function renderPlanList() {
+  const summary = getPlanSummary(state);
+  elements.planListGroup.classList.toggle('hidden', Object.keys(summary).length === 0);
+  elements.planSummary.textContent = Object.entries(summary)
+    .map(([action, count]) => `${action}: ${count}`)
+    .join(', ');
+  elements.usePlanBtn.disabled = state.status !== 'idle';
+
+  const changes = state.packages.filter((pkg) => state.plan[pkg] && !state.plan[pkg].startsWith('would-skip'));
+  const planList = formatPackages(changes, state.overrides);
+  if (planList !== renderedPlanList) {
+    elements.planList.value = planList;
+    renderedPlanList = planList;
+  }
+}
+
+// Handle use plan button - make the (edited) plan list the package list.
+function handleUsePlan() {
+  elements.packages.value = elements.planList.value;
+  readPackageList();
+  saveState();
+  saveActiveProfile();
+  updateUI();
+  showStatus(`Package list set to ${state.packages.length} packages; turn off Dry Run and Start to apply the plan`, 'success');
+}
+
+// Handle export report button - download the run report in the chosen format.
+function handleExportReport() {
+  const format = REPORT_FORMATS[elements.reportFormat.value];
+  const report = buildReport(state);
+  const blob = new Blob([format.format(report)], { type: format.type });
+  const url = URL.createObjectURL(blob);
+
+  const timestamp = report.generatedAt.replace(/[:.]/g, '-');
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `trusted-publisher-report-${timestamp}.${format.extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  showStatus(`Exported report (${report.packages.length} packages)`, 'success');
+}
+
+// Log an event to the run history (kept by the service worker).
+function logEvent(packageName, type, detail) {
+  chrome.runtime.sendMessage({ action: 'logEvent', packageName, type, detail }).catch(() => {});
+}
+
+// Load run history from storage.
+async function loadHistory() {
+  const stored = await chrome.storage.local.get([HISTORY_KEY]);
+  history = stored[HISTORY_KEY] || [];
+  renderHistoryRuns();
+}
+
+// Render the run picker, keeping the current selection if it still exists.
+function renderHistoryRuns() {
+  const selected = elements.historyRun.value;
+  elements.historyRun.innerHTML = history
+    .map((run) => {
+      const started = new Date(run.startedAt).toLocaleString();
+      const mode = run.config?.mode || 'configure';
+      return `<option value="${run.id}">${started} - ${mode} (${run.packages.length} packages)</option>`;
+    })
+    .join('');
+  if (history.some((run) => run.id === selected)) {
+    elements.historyRun.value = selected;
+  }
+  renderHistoryRun();
+}
+
+// Escape text for insertion as HTML (event details can contain page text).
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Describe a history event's detail in one line.
+function describeEvent(event) {
+  const detail = event.detail || {};
+  switch (event.type) {
+    case 'form-filled':
+      return detail.config ? describePublisher(pickPublisher(detail.config)) : '';
+    case 'submitted':
+      return detail.action || '';
+    case 'challenge-waited':
+      return `${detail.passed ? 'passed' : 'timed out'}${detail.otp ? ' (generated OTP)' : ''}`;
+    case 'skipped':
+      return detail.reason || '';
+    case 'error':
+      return detail.error || '';
+    case 'success':
+      return detail.updated ? 'updated' : '';
+    case 'audited':
+      return detail.publisher ? describePublisher(detail.publisher) : 'not configured';
+    case 'planned':
+      return detail.action || '';
+    case 'unverified':
+      return detail.error || detail.reason || '';
+    case 'advanced':
+      return detail.next ? `next: ${detail.next}` : 'last package';
+    case 'rate-limited':
+      return `attempt ${detail.attempt}, cooling down ${Math.round(detail.cooldown / 1000)}s`;
+    case 'stuck':
+      return `${detail.phase} after ${detail.timeout}s, ${detail.gaveUp ? `gave up after ${detail.reloads} reloads` : `reload ${detail.reload}`}`;
+    case 'dom-fallback':
+      return `${detail.element} via ${detail.strategy}`;
+    default:
+      return '';
+  }
+}
+
+// Render the package timelines of the selected run.
+function renderHistoryRun() {
+  const run = history.find((entry) => entry.id === elements.historyRun.value);
+  if (!run) {
+    elements.historyConfig.textContent = history.length === 0 ? 'No runs yet.' : '';
+    elements.historyList.innerHTML = '';
+    return;
+  }
+
+  const finished = run.finishedAt ? `finished ${new Date(run.finishedAt).toLocaleString()}` : 'not finished';
+  elements.historyConfig.textContent = `${describePublisher(pickPublisher(run.config || {}))} - ${finished}`;
+
+  const filter = elements.historyFilter.value.trim().toLowerCase();
+  elements.historyList.innerHTML = Object.entries(run.events)
+    .filter(([pkg]) => !filter || pkg.toLowerCase().includes(filter))
+    .map(([pkg, events]) => {
+      const lines = events
+        .map((event) => {
+          const time = new Date(event.at).toLocaleTimeString();
+          return `<div class="history-event ${event.type}"><time>${time}</time>${event.type} ${escapeHtml(describeEvent(event))}</div>`;
+        })
+        .join('');
+      return `<div class="history-package"><div class="history-name">${escapeHtml(pkg)}</div>${lines}</div>`;
+    })
     .join('');
 }
 
+// Load the pace of page loads.
+async function loadPacing() {
+  pacing = (await chrome.storage.local.get([PACING_KEY]))[PACING_KEY] || null;
+  renderPacing();
+}
+
+// Show the current pace of page loads and any cooldown, counting the cooldown down.
+function renderPacing() {
+  clearTimeout(pacingTimer);
+  const slowed = (pacing?.level || 0) > 0;
+  const interval = (pacing?.interval || 1000) / 1000;
+
+  const parts = [`Pace: up to one page every ${interval}s`];
+  if (slowed && pacing.lastSignal) {
+    parts[0] += ` (slowed down after ${pacing.lastSignal.type} on ${pacing.lastSignal.packageName})`;
+  }
+  const cooldown = Math.ceil(((pacing?.cooldownUntil || 0) - Date.now()) / 1000);
+  if (cooldown > 0) {
+    parts.push(`cooling down, ${cooldown}s left`);
+    pacingTimer = setTimeout(renderPacing, 1000);
+  }
+
+  elements.pacingInfo.textContent = parts.join('; ');
+  elements.pacingInfo.classList.toggle('slowed', slowed || cooldown > 0);
+}
+
+// Handle clear history button.
+async function handleClearHistory() {
+  if (!confirm('Delete the history of all past runs?')) return;
+  await chrome.storage.local.remove(HISTORY_KEY);
+  showStatus('History cleared', 'info');
+}
+
 // Show status message.
 function showStatus(message, type = 'info') {
   elements.statusMessage.textContent = message;
@@ -441,99 +1334,81 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// Listen for storage changes (content script may update storage directly).
+// Listen for storage changes (the service worker updates the run state).
 chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[HISTORY_KEY]) {
+    history = changes[HISTORY_KEY].newValue || [];
+    renderHistoryRuns();
+  }
+
+  if (areaName === 'local' && changes[PACING_KEY]) {
+    pacing = changes[PACING_KEY].newValue || null;
+    renderPacing();
+  }
+
   if (areaName === 'local' && changes.trustedPublisherState) {
     const newState = changes.trustedPublisherState.newValue;
     if (newState) {
-      state = { ...state, ...newState };
-      if (!state.skipped) state.skipped = [];
+      state = normalizeState(newState);
       updateUI();
 
       // Update status message based on state.
       if (state.status === 'idle' && state.currentIndex >= state.packages.length) {
         showStatus('All packages processed!', 'success');
       } else if (state.status === 'running') {
-        const currentPkg = state.packages[state.currentIndex];
-        if (currentPkg) {
-          showStatus(`Processing: ${currentPkg}`, 'info');
+        const active = getActivePackages(state);
+        if (active.length > 0) {
+          showStatus(`${state.phase === 'verify' ? 'Verifying' : 'Processing'}: ${active.join(', ')}`, 'info');
         }
       }
     }
   }
 });
 
-// Handle result from content script.
-async function handlePackageResult(message) {
-  const { success, packageName, error, alreadyConfigured, notFound, completed, waiting } = message;
+// Handle result from content script. The service worker records it and
+// advances the queue; the popup only reports it.
+function handlePackageResult(message) {
+  const {
+    success,
+    packageName,
+    error,
+    alreadyConfigured,
+    notFound,
+    completed,
+    updated,
+    waiting,
+    audited,
+    planned,
+    verification,
+    publisher,
+  } = message;
 
   console.log('[popup] handlePackageResult:', message);
 
-  // If waiting for challenge, just show status and don't advance.
   if (waiting) {
-    showStatus(`Waiting for challenge: ${packageName}`, 'warning');
-    return;
-  }
-
-  if (success) {
-    if (alreadyConfigured && !completed) {
-      // Track skipped packages separately (was already configured before this session).
-      if (!state.skipped.includes(packageName)) {
-        state.skipped.push(packageName);
-      }
-      // Remove from completed if it was added there.
-      state.completed = state.completed.filter((p) => p !== packageName);
-      showStatus(`Already configured: ${packageName}`, 'info');
-    } else if (notFound) {
-      // Track not found packages as skipped.
-      if (!state.skipped.includes(packageName)) {
-        state.skipped.push(packageName);
-      }
-      showStatus(`Not found (404): ${packageName}`, 'warning');
+    showStatus(`Waiting for challenge: ${packageName} (use Show Run Tab to solve it)`, 'warning');
+  } else if (audited) {
+    const summary = publisher ? describePublisher(publisher) : 'not configured';
+    showStatus(`Audited ${packageName}: ${summary}`, 'info');
+  } else if (planned) {
+    showStatus(`Dry run ${packageName}: ${planned}`, 'info');
+  } else if (verification) {
+    if (verification.verified) {
+      showStatus(`Verified: ${packageName}`, 'success');
     } else {
-      // Successfully configured during this session.
-      if (!state.completed.includes(packageName)) {
-        state.completed.push(packageName);
-      }
-      // Remove from skipped if it was added there by mistake.
-      state.skipped = state.skipped.filter((p) => p !== packageName);
-      showStatus(`Success: ${packageName}`, 'success');
-    }
-
-    // Auto-advance if enabled OR if already configured/not found (always auto-advance for skips).
-    const shouldAutoAdvance =
-      alreadyConfigured ||
-      notFound ||
-      (state.config.navigationMode === 'auto' && state.status === 'running');
-
-    if (shouldAutoAdvance && state.status === 'running') {
-      state.currentIndex++;
-      await saveState();
-
-      if (state.currentIndex < state.packages.length) {
-        // Shorter delay for already-configured or not-found packages.
-        const delay = alreadyConfigured || notFound ? 0.5 : state.config.delay;
-        showStatus(`Waiting ${delay}s before next package...`, 'info');
-        setTimeout(() => {
-          if (state.status === 'running') {
-            processCurrentPackage();
-          }
-        }, delay * 1000);
-      } else {
-        state.status = 'idle';
-        await saveState();
-        showStatus('All packages processed!', 'success');
-      }
-    }
-  } else {
-    if (!state.failed.includes(packageName)) {
-      state.failed.push(packageName);
+      showStatus(`Unverified: ${packageName} - ${verification.error}`, 'warning');
     }
+  } else if (!success) {
     showStatus(`Failed: ${packageName} - ${error}`, 'error');
+  } else if (notFound) {
+    showStatus(`Not found (404): ${packageName}`, 'warning');
+  } else if (updated) {
+    showStatus(`Updated: ${packageName}`, 'success');
+  } else if (alreadyConfigured && !completed) {
+    showStatus(`Already configured: ${packageName}`, 'info');
+  } else {
+    showStatus(`Success: ${packageName}`, 'success');
   }
-
-  await saveState();
-  updateUI();
 }
 
 // Initialize when DOM is ready.
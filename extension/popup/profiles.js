@@ -0,0 +1,68 @@
+// Named configuration profiles for the popup.
+// Each profile holds a provider config (GitHub or GitLab) and a package list (with overrides).
+
+const PROFILES_KEY = 'trustedPublisherProfiles';
+
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Config fields stored in a profile.
+const PROFILE_FIELDS = ['provider', 'owner', 'repository', 'workflow', 'namespace', 'project', 'ciFile', 'environment'];
+
+// Version of the profile export format.
+const PROFILES_EXPORT_VERSION = 1;
+
+// Create a profile from a config and package list text.
+function createProfile(config, packages = '') {
+  const profileConfig = {};
+  for (const field of PROFILE_FIELDS) {
+    profileConfig[field] = config[field] || '';
+  }
+  return { config: profileConfig, packages };
+}
+
+// Load the profile store ({ active, profiles }) from storage.
+async function loadProfiles() {
+  const stored = await chrome.storage.local.get([PROFILES_KEY]);
+  return stored[PROFILES_KEY] || { active: null, profiles: {} };
+}
+
+// Save the profile store to storage.
+async function saveProfiles(store) {
+  await chrome.storage.local.set({ [PROFILES_KEY]: store });
+}
+
+// Get a profile name not used yet, e.g. "dxos (2)".
+function uniqueProfileName(store, name) {
+  if (!store.profiles[name]) return name;
+  let index = 2;
+  while (store.profiles[`${name} (${index})`]) {
+    index++;
+  }
+  return `${name} (${index})`;
+}
+
+// Serialize profiles for sharing.
+function exportProfiles(store, names = Object.keys(store.profiles)) {
+  const profiles = {};
+  for (const name of names) {
+    profiles[name] = store.profiles[name];
+  }
+  return JSON.stringify({ version: PROFILES_EXPORT_VERSION, profiles }, null, 2) + '\n';
+}
+
+// Parse exported profiles, validating their shape. Throws on invalid input.
+function parseProfilesImport(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data.profiles !== 'object') {
+    throw new Error('Missing "profiles" object');
+  }
+
+  const profiles = {};
+  for (const [name, profile] of Object.entries(data.profiles)) {
+    if (!profile || typeof profile.config !== 'object') {
+      throw new Error(`Profile "${name}" has no config`);
+    }
+    profiles[name] = createProfile(profile.config, typeof profile.packages === 'string' ? profile.packages : '');
+  }
+  return profiles;
+}
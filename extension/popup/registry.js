@@ -0,0 +1,61 @@
+// npm registry helpers for the popup.
+// Mirrors the registry fetch logic in scripts/check-unpublished.mjs.
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+// Page size for registry search requests (the registry caps it at 250).
+const SEARCH_PAGE_SIZE = 250;
+
+// Normalize a registry base URL (no trailing slash).
+function normalizeRegistry(registry) {
+  return (registry || DEFAULT_REGISTRY).trim().replace(/\/+$/, '');
+}
+
+// List packages owned by an npm org. Returns null if the endpoint isn't available.
+async function fetchOrgPackages(org, registry) {
+  try {
+    const response = await fetch(`${normalizeRegistry(registry)}/-/org/${encodeURIComponent(org)}/package`);
+    if (response.status !== 200) {
+      return null;
+    }
+    // Response maps package name to access level, e.g. { "@dxos/client": "write" }.
+    const data = await response.json();
+    return Object.keys(data);
+  } catch {
+    return null;
+  }
+}
+
+// List packages in a scope by paging through registry search results.
+async function searchScopePackages(scope, registry) {
+  const packages = new Set();
+
+  for (let from = 0; ; from += SEARCH_PAGE_SIZE) {
+    const url = `${normalizeRegistry(registry)}/-/v1/search?text=scope:${encodeURIComponent(scope)}&size=${SEARCH_PAGE_SIZE}&from=${from}`;
+    const response = await fetch(url);
+    if (response.status !== 200) {
+      throw new Error(`Registry search failed (HTTP ${response.status})`);
+    }
+
+    const data = await response.json();
+    for (const { package: pkg } of data.objects) {
+      // Search is fuzzy, so only keep exact scope matches.
+      if (pkg.name.startsWith(`@${scope}/`)) {
+        packages.add(pkg.name);
+      }
+    }
+
+    if (data.objects.length < SEARCH_PAGE_SIZE || from + SEARCH_PAGE_SIZE >= data.total) {
+      break;
+    }
+  }
+
+  return Array.from(packages);
+}
+
+// List every package in an npm scope or org, sorted by name.
+async function fetchScopePackages(scopeOrOrg, registry) {
+  const name = scopeOrOrg.trim().replace(/^@/, '').replace(/\/.*$/, '');
+  const packages = (await fetchOrgPackages(name, registry)) || (await searchScopePackages(name, registry));
+  return packages.sort();
+}
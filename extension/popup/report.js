@@ -0,0 +1,132 @@
+// Run report generation for the popup (JSON, CSV and Markdown).
+
+// Columns for the CSV and Markdown formats, in order.
+// A column either reads a key of the package entry or computes its value.
+const REPORT_COLUMNS = [
+  { key: 'name', title: 'Package' },
+  { key: 'status', title: 'Status' },
+  { key: 'reason', title: 'Reason' },
+  { title: 'Provider', value: (pkg) => getProvider(pkg).label },
+  { title: 'Repository / Project', value: (pkg) => getPublisherSource(pkg) },
+  { title: 'Workflow / CI File', value: (pkg) => getPublisherFile(pkg) },
+  { key: 'environment', title: 'Environment' },
+  {
+    title: 'Existing Publisher',
+    value: (pkg) => (pkg.audit ? (pkg.audit.configured ? describePublisher(pkg.audit) : 'not configured') : ''),
+  },
+  {
+    title: 'Publishing Access',
+    value: (pkg) => describePublishingAccess(pkg.publishingAccess || pkg.audit?.publishingAccess),
+  },
+  { key: 'error', title: 'Error' },
+  { key: 'finishedAt', title: 'Finished' },
+  { key: 'verifiedAt', title: 'Verified' },
+];
+
+// Get a column's value for a package entry.
+function getColumnValue(column, pkg) {
+  return column.value ? column.value(pkg) : pkg[column.key];
+}
+
+// Get the final status of a package from the state's result lists.
+function getPackageStatus(state, pkg) {
+  if (state.completed.includes(pkg)) return 'completed';
+  if (state.updated?.includes(pkg)) return 'updated';
+  if (state.skipped.includes(pkg)) return 'skipped';
+  if (state.failed.includes(pkg)) return 'failed';
+  if (state.unverified?.includes(pkg)) return 'unverified';
+  return 'pending';
+}
+
+// Build the report object for the current state.
+function buildReport(state) {
+  const packages = state.packages.map((pkg) => {
+    const result = state.results?.[pkg] || {};
+    const config = { ...state.config, ...(state.overrides?.[pkg] || {}) };
+    return {
+      name: pkg,
+      status: getPackageStatus(state, pkg),
+      reason: result.reason || '',
+      error: result.error || '',
+      // Provider and its fields (owner, repository, workflow or namespace, project, ciFile) and environment.
+      ...pickPublisher(config),
+      finishedAt: result.finishedAt || '',
+      verifiedAt: result.verifiedAt || '',
+      publishingAccess: result.publishingAccess || '',
+      ...(state.updates?.[pkg] ? { before: state.updates[pkg].before } : {}),
+      ...(state.audit?.[pkg] ? { audit: state.audit[pkg] } : {}),
+      ...(state.plan?.[pkg] ? { plan: state.plan[pkg] } : {}),
+    };
+  });
+
+  const summary = { total: packages.length };
+  for (const status of ['completed', 'updated', 'skipped', 'failed', 'unverified', 'pending']) {
+    summary[status] = packages.filter((pkg) => pkg.status === status).length;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    startedAt: state.startedAt || null,
+    config: state.config,
+    summary,
+    ...(isDryRun(state.config) ? { plan: getPlanSummary(state) } : {}),
+    packages,
+  };
+}
+
+// Format report as JSON.
+function formatReportJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+// Format report as CSV.
+function formatReportCsv(report) {
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [REPORT_COLUMNS.map((column) => column.title).join(',')];
+  for (const pkg of report.packages) {
+    lines.push(REPORT_COLUMNS.map((column) => escape(getColumnValue(column, pkg))).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Format report as a Markdown table (e.g. for a PR description).
+function formatReportMarkdown(report) {
+  const escape = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const { config, summary, plan } = report;
+
+  const lines = [
+    '## npm trusted publisher report',
+    '',
+    `- **Mode**: ${config.mode || 'configure'}${plan ? ' (dry run, nothing was changed)' : ''}`,
+    `- **Provider**: ${getProvider(config).label}`,
+    `- **${getProviderId(config) === 'gitlab' ? 'Project' : 'Repository'}**: ${getPublisherSource(config)}`,
+    `- **${getProviderId(config) === 'gitlab' ? 'CI file' : 'Workflow'}**: ${getPublisherFile(config)}`,
+    `- **Environment**: ${config.environment || '-'}`,
+    `- **Publishing access**: ${PUBLISHING_ACCESS_POLICIES[config.publishingAccess]?.label || 'left as is'}`,
+    `- **Started**: ${report.startedAt || '-'}`,
+    `- **Generated**: ${report.generatedAt}`,
+    '',
+    `${summary.total} packages: ${summary.completed} completed, ${summary.updated} updated, ` +
+      `${summary.skipped} skipped, ${summary.failed} failed, ${summary.unverified} unverified, ${summary.pending} pending.`,
+    ...(plan ? ['', `Planned: ${Object.entries(plan).map(([action, count]) => `${count} ${action}`).join(', ') || 'nothing'}.`] : []),
+    '',
+    `| ${REPORT_COLUMNS.map((column) => column.title).join(' | ')} |`,
+    `| ${REPORT_COLUMNS.map(() => '---').join(' | ')} |`,
+  ];
+
+  for (const pkg of report.packages) {
+    lines.push(`| ${REPORT_COLUMNS.map((column) => escape(getColumnValue(column, pkg))).join(' | ')} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Report formats: file extension, MIME type and formatter.
+const REPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json', format: formatReportJson },
+  csv: { extension: 'csv', type: 'text/csv', format: formatReportCsv },
+  markdown: { extension: 'md', type: 'text/markdown', format: formatReportMarkdown },
+};
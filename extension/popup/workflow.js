@@ -0,0 +1,269 @@
+// Derive trusted publisher config from a GitHub Actions workflow file.
+// Includes a small YAML parser covering what workflow files use: block
+// mappings and sequences, block scalars (| and >), simple flow collections,
+// quoted strings and comments. Anchors, tags and multi-document files aren't supported.
+
+// Matches a publish command in a run step: publish as the subcommand, after
+// options only (pnpm -r --filter ./packages publish, yarn npm publish), so
+// scripts like npm run publish-docs or yarn publish:check don't count.
+const PUBLISH_COMMAND_PATTERN = /\b(npm|pnpm|yarn([ \t]+npm)?)([ \t]+--?[a-z]\S*([ \t]+[^\s-]\S*)?)*[ \t]+publish(?=$|[\s;&|)])/m;
+
+// Strip a trailing comment that isn't inside quotes.
+function stripYamlComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+// Split a flow collection body on commas that aren't inside quotes or brackets.
+function splitFlowItems(body) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+// Find the colon separating a mapping key from its value, or -1.
+function findKeySeparator(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && i === 0) {
+      quote = char;
+    } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    } else if (char === '{' || char === '[') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+// Parse a scalar or flow collection.
+function parseYamlValue(text) {
+  const value = text.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlowItems(value.slice(1, -1)).map(parseYamlValue);
+  }
+  if (value.startsWith('{') && value.endsWith('}')) {
+    const result = {};
+    for (const item of splitFlowItems(value.slice(1, -1))) {
+      const separator = findKeySeparator(item);
+      if (separator === -1) {
+        result[parseYamlValue(item)] = null;
+      } else {
+        result[parseYamlValue(item.slice(0, separator))] = parseYamlValue(item.slice(separator + 1));
+      }
+    }
+    return result;
+  }
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n');
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// Parse YAML text into plain objects, arrays and scalars.
+function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw) => ({
+    raw,
+    indent: raw.length - raw.trimStart().length,
+    text: stripYamlComment(raw.trim()),
+  }));
+  let index = 0;
+
+  // Skip blank and comment-only lines.
+  const skipEmpty = () => {
+    while (index < lines.length && (lines[index].text === '' || lines[index].text === '---')) {
+      index++;
+    }
+  };
+
+  // Collect a block scalar (| or >) indented deeper than the parent.
+  const parseBlockScalar = (parentIndent, indicator) => {
+    const content = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.raw.trim() === '') {
+        content.push('');
+        index++;
+        continue;
+      }
+      if (line.indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = line.indent;
+      content.push(line.raw.slice(blockIndent));
+      index++;
+    }
+    while (content.length > 0 && content[content.length - 1] === '') content.pop();
+    return indicator.startsWith('>') ? content.join(' ').replace(/ {2,}/g, ' ') + '\n' : content.join('\n') + '\n';
+  };
+
+  // Parse the value after "key:" or "-": inline, block scalar or nested block.
+  const parseNested = (parentIndent, inline, allowSameIndentSequence) => {
+    if (/^[|>][-+]?$/.test(inline)) {
+      return parseBlockScalar(parentIndent, inline);
+    }
+    if (inline !== '') {
+      return parseYamlValue(inline);
+    }
+    skipEmpty();
+    if (index >= lines.length) return null;
+    const next = lines[index];
+    if (next.indent > parentIndent) {
+      return parseBlock(next.indent);
+    }
+    // Sequences may sit at the same indent as their key.
+    if (allowSameIndentSequence && next.indent === parentIndent && /^-( |$)/.test(next.text)) {
+      return parseBlock(next.indent);
+    }
+    return null;
+  };
+
+  const parseSequence = (indent) => {
+    const result = [];
+    while (true) {
+      skipEmpty();
+      const line = lines[index];
+      if (!line || line.indent !== indent || !/^-( |$)/.test(line.text)) break;
+
+      const content = line.text.slice(1).trimStart();
+      if (content !== '' && findKeySeparator(content) !== -1 && !content.startsWith('{')) {
+        // "- key: value" starts a mapping indented at the key's position.
+        const itemIndent = indent + (line.text.length - content.length);
+        lines[index] = { raw: ' '.repeat(itemIndent) + content, indent: itemIndent, text: content };
+        result.push(parseMapping(itemIndent));
+      } else {
+        index++;
+        result.push(parseNested(indent, content, false));
+      }
+    }
+    return result;
+  };
+
+  const parseMapping = (indent) => {
+    const result = {};
+    while (true) {
+      skipEmpty();
+      const line = lines[index];
+      if (!line || line.indent !== indent || /^-( |$)/.test(line.text)) break;
+
+      const separator = findKeySeparator(line.text);
+      if (separator === -1) {
+        throw new Error(`Line ${index + 1}: expected "key: value"`);
+      }
+      const key = parseYamlValue(line.text.slice(0, separator));
+      index++;
+      result[key] = parseNested(indent, line.text.slice(separator + 1).trim(), true);
+    }
+    return result;
+  };
+
+  const parseBlock = (indent) => (/^-( |$)/.test(lines[index].text) ? parseSequence(indent) : parseMapping(indent));
+
+  skipEmpty();
+  if (index >= lines.length) return null;
+  return parseBlock(lines[index].indent);
+}
+
+// Check whether a permissions value grants id-token: write.
+function grantsIdToken(permissions) {
+  return permissions === 'write-all' || (typeof permissions === 'object' && permissions?.['id-token'] === 'write');
+}
+
+// Check whether an env block enables provenance.
+function enablesProvenance(env) {
+  const value = env?.NPM_CONFIG_PROVENANCE ?? env?.npm_config_provenance;
+  return value === true || value === 'true';
+}
+
+// Analyze a workflow file: find publish jobs, their environments, and missing OIDC setup.
+// Returns { workflow, jobs: [{ id, name, environment, commands }], warnings }.
+function analyzeWorkflow(text, filename = '') {
+  const doc = parseYaml(text);
+  if (!doc || typeof doc.jobs !== 'object' || Array.isArray(doc.jobs)) {
+    throw new Error('No jobs found in workflow');
+  }
+
+  const jobs = [];
+  const warnings = [];
+
+  for (const [id, job] of Object.entries(doc.jobs)) {
+    const steps = Array.isArray(job?.steps) ? job.steps : [];
+    const publishSteps = steps.filter(
+      (step) => typeof step?.run === 'string' && PUBLISH_COMMAND_PATTERN.test(step.run)
+    );
+    if (publishSteps.length === 0) continue;
+
+    const commands = publishSteps.flatMap((step) =>
+      step.run
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => PUBLISH_COMMAND_PATTERN.test(line))
+    );
+
+    // Environment may be a name or { name, url }.
+    const environment = typeof job.environment === 'object' ? job.environment?.name || '' : job.environment || '';
+    if (String(environment).includes('${{')) {
+      warnings.push(`Job "${id}" sets its environment from an expression (${environment}); enter it manually.`);
+    }
+
+    const permissions = job.permissions !== undefined ? job.permissions : doc.permissions;
+    if (!grantsIdToken(permissions)) {
+      warnings.push(`Job "${id}" is missing "permissions: id-token: write".`);
+    }
+
+    const provenance =
+      commands.every((command) => command.includes('--provenance')) ||
+      enablesProvenance(doc.env) ||
+      enablesProvenance(job.env) ||
+      publishSteps.every((step) => enablesProvenance(step.env));
+    if (!provenance) {
+      warnings.push(`Job "${id}" publishes without --provenance.`);
+    }
+
+    jobs.push({ id, name: job.name || id, environment: String(environment), commands });
+  }
+
+  if (jobs.length === 0) {
+    warnings.push('No job runs npm, pnpm or yarn publish.');
+  }
+
+  return { workflow: filename.split('/').pop(), jobs, warnings };
+}
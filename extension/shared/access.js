@@ -0,0 +1,31 @@
+// Publishing access policies npm offers on a package's access page, next to the
+// trusted publisher: whether publishing needs two-factor authentication, and
+// whether tokens still work. Ids follow `npm access set mfa=<id>`.
+// Loaded by the popup and the content scripts.
+
+const PUBLISHING_ACCESS_POLICIES = {
+  none: {
+    label: "Don't require two-factor authentication",
+    short: 'no 2FA',
+  },
+  automation: {
+    label: 'Require two-factor authentication or an automation or granular access token',
+    short: '2FA or token',
+  },
+  // With a trusted publisher, CI needs no token, so this is the one to use.
+  publish: {
+    label: 'Require two-factor authentication and disallow tokens',
+    short: '2FA, no tokens',
+  },
+};
+
+// Short description of a policy id, e.g. "2FA, no tokens", or '' for none.
+function describePublishingAccess(policy) {
+  return PUBLISHING_ACCESS_POLICIES[policy]?.short || '';
+}
+
+// Whether the policy read from a page is the one the config asks for; a config
+// without a policy leaves publishing access as it is.
+function publishingAccessMatchesConfig(policy, config) {
+  return !config.publishingAccess || policy === config.publishingAccess;
+}
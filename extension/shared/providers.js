@@ -0,0 +1,92 @@
+// Trusted publisher providers npm supports (GitHub Actions and GitLab CI/CD)
+// and the config fields each one uses.
+// Loaded by the popup and the content scripts. Publishers read from a page or
+// recorded in state have the shape { provider, ...fields } with the fields of
+// that provider.
+
+const PUBLISHER_PROVIDERS = {
+  github: {
+    label: 'GitHub Actions',
+    // Config key, label, and whether npm requires it.
+    fields: [
+      { key: 'owner', label: 'Owner', required: true },
+      { key: 'repository', label: 'Repository', required: true },
+      { key: 'workflow', label: 'Workflow', required: true },
+      { key: 'environment', label: 'Environment', required: false },
+    ],
+    source: ['owner', 'repository'],
+    file: 'workflow',
+  },
+  gitlab: {
+    label: 'GitLab CI/CD',
+    fields: [
+      { key: 'namespace', label: 'Namespace', required: true },
+      { key: 'project', label: 'Project', required: true },
+      { key: 'ciFile', label: 'CI file path', required: true },
+      { key: 'environment', label: 'Environment', required: false },
+    ],
+    source: ['namespace', 'project'],
+    file: 'ciFile',
+  },
+};
+
+const DEFAULT_PROVIDER = 'github';
+
+// Get the provider id of a config or publisher, defaulting to GitHub for
+// config and publishers from before providers existed.
+function getProviderId(configOrPublisher) {
+  return PUBLISHER_PROVIDERS[configOrPublisher?.provider] ? configOrPublisher.provider : DEFAULT_PROVIDER;
+}
+
+function getProvider(configOrPublisher) {
+  return PUBLISHER_PROVIDERS[getProviderId(configOrPublisher)];
+}
+
+// Take the provider's fields from a config, e.g. for a publisher npm should end up with.
+function pickPublisher(config) {
+  const publisher = { provider: getProviderId(config) };
+  for (const { key } of getProvider(config).fields) {
+    publisher[key] = config[key] || '';
+  }
+  return publisher;
+}
+
+// Labels of required fields the config leaves empty.
+function getMissingPublisherFields(config) {
+  return getProvider(config)
+    .fields.filter((field) => field.required && !config[field.key])
+    .map((field) => field.label);
+}
+
+// Where a publisher publishes from: "owner/repository" or "namespace/project".
+function getPublisherSource(publisher) {
+  return getProvider(publisher)
+    .source.map((key) => publisher[key] || '')
+    .join('/');
+}
+
+// The workflow or CI file a publisher runs.
+function getPublisherFile(publisher) {
+  return publisher[getProvider(publisher).file] || '';
+}
+
+// One-line description, e.g. "GitHub Actions dxos/dxos publish.yml env=prod".
+function describePublisher(publisher) {
+  const { label } = getProvider(publisher);
+  const environment = publisher.environment ? ` env=${publisher.environment}` : '';
+  return `${label} ${getPublisherSource(publisher)} ${getPublisherFile(publisher)}${environment}`;
+}
+
+// Check whether an existing publisher matches a config. Owner, repository,
+// namespace and project are case-insensitive on both providers.
+function publisherMatchesConfig(publisher, config) {
+  if (getProviderId(publisher) !== getProviderId(config)) {
+    return false;
+  }
+  const { source } = getProvider(config);
+  return getProvider(config).fields.every(({ key }) => {
+    const existing = publisher[key] || '';
+    const wanted = config[key] || '';
+    return source.includes(key) ? existing.toLowerCase() === wanted.toLowerCase() : existing === wanted;
+  });
+}
@@ -0,0 +1,459 @@
+// Run queue state machine for npm trusted publisher extension.
+// transition() is pure: it takes the run state and an event, and returns the
+// next state plus the effects (navigate, finished) for the caller to carry out.
+// Only the service worker applies transitions; the popup and content script
+// send it events. Loaded with importScripts() in the service worker and a
+// <script> tag in the popup.
+
+// Result lists a package can end up in.
+const RESULT_LISTS = ['completed', 'updated', 'skipped', 'failed', 'unverified'];
+
+// Modes whose results the verification pass checks.
+const VERIFIED_MODES = ['configure', 'update'];
+
+// Actions a dry run can plan for a package. Planned changes are recorded as
+// completed and planned skips as skipped, with the action as the reason.
+const PLAN_ACTIONS = [
+  'would-configure',
+  'would-update',
+  'would-delete',
+  'would-set-access', // Trusted publisher in place, publishing access to set.
+  'would-skip-configured',
+  'would-skip-404',
+  'would-skip-nothing-to-delete',
+  'would-skip-provider-mismatch',
+];
+
+// Seconds to wait before moving on after a skip or other quick advance.
+const QUICK_ADVANCE_DELAY = 0.5;
+
+// Most tabs a run can work in at once.
+const MAX_CONCURRENCY = 5;
+
+// Events allowed in each status, and the status each one leads to.
+// Events not listed for the current status are ignored.
+const TRANSITIONS = {
+  idle: {
+    configure: 'idle',
+    start: 'running',
+    reset: 'idle',
+    'tab-opened': 'idle',
+    'tab-closed': 'idle',
+  },
+  running: {
+    configure: 'running',
+    pause: 'paused',
+    reset: 'idle',
+    retry: 'running',
+    next: 'running',
+    skip: 'running',
+    result: 'running',
+    'update-pending': 'running',
+    verification: 'running',
+    'tab-opened': 'running',
+    'tab-closed': 'paused',
+  },
+  paused: {
+    configure: 'paused',
+    start: 'running',
+    resume: 'running',
+    reset: 'idle',
+    next: 'paused',
+    skip: 'paused',
+    result: 'paused',
+    'update-pending': 'paused',
+    verification: 'paused',
+    'tab-opened': 'paused',
+    'tab-closed': 'paused',
+  },
+};
+
+// Default config for a fresh install.
+const DEFAULT_CONFIG = {
+  mode: 'configure', // configure, update, delete or audit
+  provider: 'github', // github or gitlab (see shared/providers.js)
+  owner: '',
+  repository: '',
+  workflow: '',
+  namespace: '', // GitLab fields.
+  project: '',
+  ciFile: '',
+  environment: '',
+  navigationMode: 'manual',
+  runTarget: 'tab', // tab (background tab) or window (minimized window)
+  concurrency: 1, // Tabs to work in at once (auto navigation without user steps only).
+  autoSubmit: false,
+  dryRun: false, // Only classify packages (see PLAN_ACTIONS); never fill or submit a form.
+  verify: true, // Recheck completed and updated packages once the run is through them.
+  publishingAccess: '', // Policy to set after the trusted publisher (see shared/access.js); '' leaves it as is.
+  delay: 2,
+  // Watchdog timeouts (s) per package phase, 0 for none; a stuck package is
+  // reloaded up to stuckRetries times, then fails (see background/watchdog.js).
+  navigationTimeout: 60,
+  renderTimeout: 45,
+  submitTimeout: 600,
+  successTimeout: 90,
+  stuckRetries: 2,
+  notifications: true, // Desktop notifications when a package needs the user, fails, or the run ends.
+  registry: 'https://registry.npmjs.org',
+};
+
+// Create the initial run state.
+function createInitialState() {
+  return {
+    status: 'idle', // idle, running, paused
+    phase: 'run', // run, then verify while rechecking completed and updated packages.
+    runId: null, // Identifies the run in history.
+    lanes: [], // One per run tab: { tabId, index } with the index of the package it works on (or null).
+    packages: [],
+    overrides: {}, // Per-package config overrides, keyed by package name.
+    currentIndex: 0, // Number of packages handed out to lanes so far.
+    completed: [],
+    updated: [], // Packages whose mismatched trusted publisher was edited (update mode).
+    skipped: [], // Already configured, not found or manually skipped packages.
+    failed: [],
+    unverified: [], // Completed or updated packages whose saved publisher didn't match on recheck.
+    results: {}, // Outcome per package (status, reason, error, timestamp) for the run report.
+    updates: {}, // Before and after values per updated package.
+    audit: {}, // Existing trusted publisher per package (audit mode).
+    plan: {}, // Planned action per package (dry runs).
+    startedAt: null,
+    finishedAt: null,
+    config: { ...DEFAULT_CONFIG },
+  };
+}
+
+// Fill in fields missing from older stored state.
+function normalizeState(state) {
+  const initial = createInitialState();
+  const normalized = { ...initial, ...state, config: { ...initial.config, ...state?.config } };
+
+  // State from before lanes had a single tab working on packages[currentIndex].
+  if (!state?.lanes) {
+    const inProgress = normalized.status !== 'idle' && normalized.currentIndex < normalized.packages.length;
+    normalized.lanes = [{ tabId: state?.tabId ?? null, index: inProgress ? normalized.currentIndex : null }];
+    if (inProgress) normalized.currentIndex++;
+    delete normalized.tabId;
+  }
+  return normalized;
+}
+
+// Whether a run only plans. Audit runs are read-only anyway and ignore the option.
+function isDryRun(config) {
+  return !!config.dryRun && config.mode !== 'audit';
+}
+
+// Number of tabs a run with this config works in. Runs that need the user on
+// each page (manual navigation, or filling forms for the user to submit) use one.
+function getConcurrency(config) {
+  if (config.navigationMode !== 'auto') return 1;
+  if (config.mode === 'configure' && !config.autoSubmit && !isDryRun(config)) return 1;
+  return Math.min(Math.max(parseInt(config.concurrency, 10) || 1, 1), MAX_CONCURRENCY);
+}
+
+// Packages being worked on, oldest first.
+function getActivePackages(state) {
+  return state.lanes
+    .filter((lane) => lane.index !== null)
+    .sort((a, b) => a.index - b.index)
+    .map((lane) => state.packages[lane.index]);
+}
+
+// The oldest package being worked on; manual Next, Skip and Retry act on it.
+function getCurrentPackage(state) {
+  return getActivePackages(state)[0];
+}
+
+// Get the lane working on a package.
+function findLane(state, packageName) {
+  return state.lanes.findIndex((lane) => lane.index !== null && state.packages[lane.index] === packageName);
+}
+
+// Number of packages per planned action, in PLAN_ACTIONS order.
+function getPlanSummary(state) {
+  const counts = {};
+  for (const action of PLAN_ACTIONS) {
+    const count = Object.values(state.plan).filter((planned) => planned === action).length;
+    if (count > 0) counts[action] = count;
+  }
+  return counts;
+}
+
+// Get the npm access page URL for a package.
+function getAccessUrl(packageName) {
+  return `https://www.npmjs.com/package/${packageName}/access`;
+}
+
+// Move a package into the given result list and record its outcome.
+function recordOutcome(state, packageName, outcome, details, now) {
+  for (const list of RESULT_LISTS) {
+    state[list] = state[list].filter((pkg) => pkg !== packageName);
+  }
+  state[outcome].push(packageName);
+  state.results[packageName] = {
+    ...state.results[packageName],
+    status: outcome,
+    ...details,
+    finishedAt: now,
+  };
+}
+
+// Whether a package is due for the verification pass.
+function needsVerification(state, packageName) {
+  return state.completed.includes(packageName) || state.updated.includes(packageName);
+}
+
+// Whether the run should go through its completed and updated packages again to verify them.
+function shouldVerify(state) {
+  return (
+    state.phase === 'run' &&
+    !!state.config.verify &&
+    VERIFIED_MODES.includes(state.config.mode) &&
+    !isDryRun(state.config) &&
+    state.packages.some((pkg) => needsVerification(state, pkg))
+  );
+}
+
+// Hand the next package to a lane, navigating to it if the run is going.
+// The verification pass passes over packages that don't need verifying.
+function assignNext(state, effects, lane, delay) {
+  if (state.phase === 'verify') {
+    while (state.currentIndex < state.packages.length && !needsVerification(state, state.packages[state.currentIndex])) {
+      state.currentIndex++;
+    }
+  }
+  if (state.currentIndex >= state.packages.length) {
+    state.lanes[lane].index = null;
+    return;
+  }
+  const index = state.currentIndex++;
+  state.lanes[lane].index = index;
+  if (state.status === 'running') {
+    effects.push({ type: 'navigate', lane, index, packageName: state.packages[index], delay });
+  }
+}
+
+// Finish the run once every package has been handed out and every lane is done,
+// going through the packages once more to verify them first if the config asks for it.
+function finishIfDone(state, effects, now) {
+  const done = state.currentIndex >= state.packages.length && state.lanes.every((lane) => lane.index === null);
+  if (!done) {
+    return;
+  }
+
+  if (shouldVerify(state)) {
+    state.phase = 'verify';
+    state.currentIndex = 0;
+    for (let lane = 0; lane < state.lanes.length; lane++) {
+      assignNext(state, effects, lane, QUICK_ADVANCE_DELAY);
+    }
+    return;
+  }
+
+  state.status = 'idle';
+  state.finishedAt = now;
+  effects.push({ type: 'finished' });
+}
+
+// Move a lane on to the next package, finishing the run after the last one.
+function advance(state, effects, lane, delay, now) {
+  assignNext(state, effects, lane, delay);
+  finishIfDone(state, effects, now);
+}
+
+// Clear the per-run results. Lanes keep their tabs for the next run.
+function clearResults(state) {
+  state.phase = 'run';
+  state.currentIndex = 0;
+  state.lanes = state.lanes.map((lane) => ({ tabId: lane.tabId, index: null }));
+  for (const list of RESULT_LISTS) {
+    state[list] = [];
+  }
+  state.results = {};
+  state.updates = {};
+  state.audit = {};
+  state.plan = {};
+  state.finishedAt = null;
+}
+
+// Apply an event to the run state.
+// Returns { state, effects, ignored }; the input state is not modified.
+//
+// Packages are handed out to lanes, one per run tab; getConcurrency() decides how many.
+// Effects are { type: 'navigate', lane, index, packageName, delay } and { type: 'finished' }.
+//
+// Events:
+// - configure { config?, packages?, overrides? }: update config (package list only while idle).
+// - start { packages, overrides, config, runId? }: start a new run.
+// - pause, reset: stop navigating; reset also clears results.
+// - resume, retry: (re)load the packages the lanes are on (retry: only the current package).
+// - next: mark the current package completed if it has no result yet, and advance its lane.
+// - skip: mark the current package skipped, and advance its lane.
+// - result { packageName, outcome, reason?, error?, audit?, plan?, publishingAccess?, advance? }: record a package
+//   outcome, with the publishing access policy the page showed.
+//   In dry runs a package not found is planned as would-skip-404.
+//   Skips always advance, and completed/updated packages advance in auto navigation mode.
+//   Failures wait for the user, except in runs with several lanes, which go on unattended
+//   (Retry Failed picks them up afterwards). `advance` overrides all of that. Only a package a lane is on advances,
+//   so a late or repeated result can't skip the next package.
+// - update-pending { packageName, update }: keep before/after values of an edit being submitted.
+// - verification { packageName, verified, reason?, error? }: record a recheck in the verify phase;
+//   a package that didn't verify moves to unverified. Always advances.
+// - tab-opened { lane, tabId }: the service worker opened a lane's tab.
+// - tab-closed { tabId }: a lane's tab was closed; a running run pauses until resumed in a new tab.
+function transition(current, event, now = new Date().toISOString()) {
+  const status = TRANSITIONS[current.status]?.[event.type];
+  const otherTabClosed = event.type === 'tab-closed' && !current.lanes?.some((lane) => lane.tabId === event.tabId);
+  if (!status || otherTabClosed) {
+    return { state: current, effects: [], ignored: true };
+  }
+
+  const state = normalizeState(structuredClone(current));
+  const effects = [];
+  const currentPackage = getCurrentPackage(state);
+  state.status = status;
+
+  switch (event.type) {
+    case 'configure': {
+      if (event.config) {
+        state.config = { ...state.config, ...event.config };
+      }
+      if (event.packages && state.status === 'idle') {
+        state.packages = event.packages;
+        state.overrides = event.overrides || {};
+        state.currentIndex = 0;
+      }
+      break;
+    }
+
+    case 'start': {
+      state.packages = event.packages || state.packages;
+      state.overrides = event.overrides || state.overrides;
+      state.config = { ...state.config, ...event.config };
+      state.runId = event.runId || `run-${Date.parse(now)}`;
+      state.startedAt = now;
+      clearResults(state);
+
+      // Keep the tabs of earlier runs, adding or dropping lanes to match the concurrency.
+      const concurrency = getConcurrency(state.config);
+      state.lanes = Array.from({ length: concurrency }, (_, lane) => ({
+        tabId: state.lanes[lane]?.tabId ?? null,
+        index: null,
+      }));
+
+      for (let lane = 0; lane < state.lanes.length; lane++) {
+        assignNext(state, effects, lane, 0);
+      }
+      finishIfDone(state, effects, now);
+      break;
+    }
+
+    case 'pause':
+      break;
+
+    case 'reset':
+      clearResults(state);
+      break;
+
+    case 'resume':
+    case 'retry': {
+      state.lanes.forEach(({ index }, lane) => {
+        const packageName = state.packages[index];
+        if (index !== null && (event.type === 'resume' || packageName === currentPackage)) {
+          effects.push({ type: 'navigate', lane, index, packageName, delay: 0 });
+        } else if (index === null && event.type === 'resume') {
+          // Lanes freed while paused pick up the next packages.
+          assignNext(state, effects, lane, 0);
+        }
+      });
+      finishIfDone(state, effects, now);
+      break;
+    }
+
+    case 'next': {
+      if (!currentPackage) {
+        return { state: current, effects: [], ignored: true };
+      }
+      const hasResult = RESULT_LISTS.some((list) => state[list].includes(currentPackage));
+      if (!hasResult) {
+        recordOutcome(state, currentPackage, 'completed', { reason: 'manual-next' }, now);
+      }
+      advance(state, effects, findLane(state, currentPackage), 0, now);
+      break;
+    }
+
+    case 'skip': {
+      if (!currentPackage) {
+        return { state: current, effects: [], ignored: true };
+      }
+      // Skipping a recheck leaves the package's outcome as it is.
+      if (state.phase !== 'verify') {
+        recordOutcome(state, currentPackage, 'skipped', { reason: 'manual-skip' }, now);
+      }
+      advance(state, effects, findLane(state, currentPackage), 0, now);
+      break;
+    }
+
+    case 'result': {
+      const { packageName, outcome } = event;
+      if (!RESULT_LISTS.includes(outcome) || !state.packages.includes(packageName)) {
+        return { state: current, effects: [], ignored: true };
+      }
+
+      const details = {};
+      if (event.reason) details.reason = event.reason;
+      if (event.error) details.error = event.error;
+      if (event.publishingAccess) details.publishingAccess = event.publishingAccess;
+      if (event.audit) state.audit[packageName] = event.audit;
+      if (event.plan) {
+        state.plan[packageName] = event.plan;
+      } else if (isDryRun(state.config) && event.reason === 'not-found') {
+        state.plan[packageName] = 'would-skip-404';
+      }
+      recordOutcome(state, packageName, outcome, details, now);
+
+      const unattended = state.lanes.length > 1;
+      const shouldAdvance =
+        event.advance ??
+        (outcome === 'skipped' || (state.config.navigationMode === 'auto' && (outcome !== 'failed' || unattended)));
+      const lane = findLane(state, packageName);
+      if (lane >= 0 && shouldAdvance) {
+        const isSuccess = outcome === 'completed' || outcome === 'updated';
+        const delay = isSuccess && event.advance === undefined ? state.config.delay : QUICK_ADVANCE_DELAY;
+        advance(state, effects, lane, delay, now);
+      }
+      break;
+    }
+
+    case 'update-pending':
+      state.updates[event.packageName] = event.update;
+      break;
+
+    case 'verification': {
+      const lane = findLane(state, event.packageName);
+      if (state.phase !== 'verify' || lane < 0) {
+        return { state: current, effects: [], ignored: true };
+      }
+      if (event.verified) {
+        state.results[event.packageName] = { ...state.results[event.packageName], verifiedAt: now };
+      } else {
+        const details = { reason: event.reason || 'unknown', ...(event.error ? { error: event.error } : {}) };
+        recordOutcome(state, event.packageName, 'unverified', details, now);
+      }
+      advance(state, effects, lane, QUICK_ADVANCE_DELAY, now);
+      break;
+    }
+
+    case 'tab-opened':
+      if (state.lanes[event.lane]) {
+        state.lanes[event.lane].tabId = event.tabId;
+      }
+      break;
+
+    case 'tab-closed':
+      state.lanes = state.lanes.map((lane) => (lane.tabId === event.tabId ? { ...lane, tabId: null } : lane));
+      break;
+  }
+
+  return { state, effects, ignored: false };
+}
@@ -0,0 +1,184 @@
+// TOTP codes (RFC 6238) for npm's two-factor prompt.
+// Loaded by the service worker (importScripts) and the popup (script tag).
+// The secret is stored encrypted behind a passphrase (PBKDF2 + AES-GCM) in
+// chrome.storage.local. Unlocking puts the plain secret in chrome.storage.session,
+// which stays in memory and isn't readable by content scripts; content scripts
+// only ever get a code, from the service worker.
+
+const TOTP_KEY = 'trustedPublisherTotp';
+const TOTP_SESSION_KEY = 'trustedPublisherTotpSecret';
+
+// npm uses the authenticator defaults: SHA-1, 6 digits, 30 second steps.
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+// PBKDF2-SHA256 iterations for the passphrase key.
+const TOTP_KEY_ITERATIONS = 600000;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Decode a base32 string (RFC 4648), ignoring spaces, dashes and padding.
+function decodeBase32(text) {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  if (!clean || /[^A-Z2-7]/.test(clean)) {
+    throw new Error('Secret must be base32 (letters A-Z and digits 2-7)');
+  }
+
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// Get the base32 secret from what the user pasted: the secret itself, or the
+// otpauth:// URI an authenticator QR code holds.
+function parseTotpSecret(input) {
+  const text = input.trim();
+  let secret = text;
+
+  if (/^otpauth:/i.test(text)) {
+    const url = new URL(text);
+    if (url.host !== 'totp') {
+      throw new Error('Only time-based (totp) otpauth URIs are supported');
+    }
+    const params = url.searchParams;
+    const algorithm = (params.get('algorithm') || 'SHA1').toUpperCase();
+    const digits = parseInt(params.get('digits') || TOTP_DIGITS, 10);
+    const period = parseInt(params.get('period') || TOTP_PERIOD, 10);
+    if (algorithm !== 'SHA1' || digits !== TOTP_DIGITS || period !== TOTP_PERIOD) {
+      throw new Error(`Unsupported TOTP settings (${algorithm}, ${digits} digits, ${period}s)`);
+    }
+    secret = params.get('secret') || '';
+  }
+
+  secret = secret.toUpperCase().replace(/[\s=-]/g, '');
+  // A key shorter than 80 bits is almost certainly a typo.
+  if (decodeBase32(secret).length < 10) {
+    throw new Error('Secret is too short');
+  }
+  return secret;
+}
+
+// Generate the code for a base32 secret at a time (ms).
+async function generateTotp(secret, time = Date.now()) {
+  const counter = Math.floor(time / 1000 / TOTP_PERIOD);
+  const message = new ArrayBuffer(8);
+  const view = new DataView(message);
+  view.setUint32(0, Math.floor(counter / 2 ** 32));
+  view.setUint32(4, counter >>> 0);
+
+  const key = await crypto.subtle.importKey('raw', decodeBase32(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+
+  // Dynamic truncation (RFC 4226 section 5.3).
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Seconds until the code for a time (ms) expires.
+function getTotpRemaining(time = Date.now()) {
+  return TOTP_PERIOD - (Math.floor(time / 1000) % TOTP_PERIOD);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+// Derive the AES key for a passphrase.
+async function deriveTotpKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey',
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Encrypt a secret for storage.
+async function encryptTotpSecret(secret, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveTotpKey(passphrase, salt, TOTP_KEY_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+  return {
+    version: 1,
+    iterations: TOTP_KEY_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+    savedAt: new Date().toISOString(),
+  };
+}
+
+// Decrypt a stored secret. AES-GCM fails to authenticate with a wrong passphrase.
+async function decryptTotpSecret(stored, passphrase) {
+  const key = await deriveTotpKey(passphrase, fromBase64(stored.salt), stored.iterations);
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.iv) }, key, fromBase64(stored.ciphertext));
+    return new TextDecoder().decode(plain);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+// Store a secret encrypted behind a passphrase, and unlock it for this session.
+async function saveTotpSecret(input, passphrase) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const secret = parseTotpSecret(input);
+  await chrome.storage.local.set({ [TOTP_KEY]: await encryptTotpSecret(secret, passphrase) });
+  await chrome.storage.session.set({ [TOTP_SESSION_KEY]: secret });
+}
+
+// Unlock the stored secret for this browser session.
+async function unlockTotp(passphrase) {
+  const stored = (await chrome.storage.local.get([TOTP_KEY]))[TOTP_KEY];
+  if (!stored) {
+    throw new Error('No TOTP secret stored');
+  }
+  const secret = await decryptTotpSecret(stored, passphrase);
+  await chrome.storage.session.set({ [TOTP_SESSION_KEY]: secret });
+}
+
+// Forget the unlocked secret; the encrypted copy stays.
+async function lockTotp() {
+  await chrome.storage.session.remove(TOTP_SESSION_KEY);
+}
+
+// Remove the secret entirely.
+async function removeTotpSecret() {
+  await lockTotp();
+  await chrome.storage.local.remove(TOTP_KEY);
+}
+
+// Get the unlocked secret, or null.
+async function getUnlockedTotpSecret() {
+  return (await chrome.storage.session.get([TOTP_SESSION_KEY]))[TOTP_SESSION_KEY] || null;
+}
+
+// Whether a secret is stored, and whether it is unlocked.
+async function getTotpStatus() {
+  const stored = (await chrome.storage.local.get([TOTP_KEY]))[TOTP_KEY];
+  return { stored: !!stored, unlocked: !!stored && !!(await getUnlockedTotpSecret()), savedAt: stored?.savedAt || null };
+}
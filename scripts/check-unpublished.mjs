@@ -3,74 +3,273 @@
 /**
  * Check which packages from the monorepo are not yet published to npm.
  * Runs checks in parallel for speed.
+ *
+ * Workspace packages are found from pnpm-workspace.yaml, the `workspaces` field
+ * of the root package.json (npm, yarn) or lerna.json, in that order, by reading
+ * the package.json files directly; no package manager is needed. Private packages
+ * are skipped.
+ *
+ * Usage: node scripts/check-unpublished.mjs [options]
+ *   --root <dir>        Monorepo root (default: current directory)
+ *   --scope <@scope>    Only packages in this scope; repeatable
+ *   --include <glob>    Only packages whose name or folder matches; repeatable
+ *   --exclude <glob>    Leave out packages whose name or folder matches; repeatable
+ *   --registry <url>    Registry to check (default: https://registry.npmjs.org)
+ *   --output <file>     Text list of unpublished packages (default: unpublished-packages.txt)
+ *   --json <file>       JSON list of unpublished packages (default: unpublished-packages.json)
  */
 
-import { execSync } from 'child_process';
-import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { readFileSync, existsSync, readdirSync, writeFileSync } from 'fs';
+import { join, relative, resolve } from 'path';
 
 const CONCURRENCY = 20;
 
-async function checkPackageExists(packageName) {
-  try {
-    const response = await fetch(`https://registry.npmjs.org/${packageName}`);
-    return response.status === 200;
-  } catch {
-    return false;
-  }
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+// Lerna's default when lerna.json doesn't list package folders.
+const LERNA_DEFAULT_PACKAGES = ['packages/*'];
+
+// Folders never searched for workspace packages.
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+const USAGE = readFileSync(new URL(import.meta.url), 'utf-8')
+  .match(/Usage:[\s\S]*?(?=\n \*\/)/)[0]
+  .replace(/^ \* ?/gm, '');
+
+// Read --name values; flags that take a list may be repeated or comma-separated.
+function getArgs(name) {
+  const values = [];
+  process.argv.forEach((arg, index) => {
+    if (arg === `--${name}` && process.argv[index + 1] !== undefined) {
+      values.push(...process.argv[index + 1].split(','));
+    } else if (arg.startsWith(`--${name}=`)) {
+      values.push(...arg.slice(name.length + 3).split(','));
+    }
+  });
+  return values.map((value) => value.trim()).filter(Boolean);
 }
 
-function getPackageInfo(packageName) {
-  // Find the package.json for this package.
-  try {
-    const output = execSync(
-      `pnpm --filter "${packageName}" list --json --depth 0 2>/dev/null`,
-      { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
-    );
-    const parsed = JSON.parse(output);
-    if (parsed[0]?.path) {
-      const pkgJsonPath = join(parsed[0].path, 'package.json');
-      if (existsSync(pkgJsonPath)) {
-        return JSON.parse(readFileSync(pkgJsonPath, 'utf-8'));
+function getArg(name, fallback) {
+  return getArgs(name).at(-1) ?? fallback;
+}
+
+// Match paths or names against a glob pattern: * for any characters within a
+// path segment, ** for any number of segments, ? for one character.
+function createGlobMatcher(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split(/(\*\*\/|\/\*\*$|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '/**') return '(?:/.*)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const regex = new RegExp(`^${source}$`);
+  return (value) => regex.test(value);
+}
+
+// Read the `packages` list from pnpm-workspace.yaml. Only the shapes pnpm
+// documents are understood: a block list of strings, or a flow list.
+function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of text.split('\n')) {
+    const content = line.replace(/\s+#.*$/, '').trimEnd();
+    if (!content.trim() || content.trim().startsWith('#')) continue;
+
+    const key = content.match(/^packages:\s*(.*)$/);
+    if (key) {
+      inPackages = true;
+      // packages: ['packages/*', 'apps/*']
+      if (key[1].startsWith('[')) {
+        patterns.push(...key[1].replace(/^\[|\]$/g, '').split(','));
+        inPackages = false;
       }
+      continue;
+    }
+    if (!/^\s/.test(content)) {
+      inPackages = false;
+    } else if (inPackages) {
+      const item = content.match(/^\s+-\s*(.+)$/);
+      if (item) patterns.push(item[1]);
     }
-  } catch {
-    // Fallback: search for package.json.
   }
+  return patterns.map((pattern) => pattern.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+}
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+// Find the workspace package folder patterns of the monorepo at root.
+// Returns { source, patterns }, or null when it has no workspace config.
+function readWorkspaceConfig(root) {
+  const pnpmWorkspace = join(root, 'pnpm-workspace.yaml');
+  if (existsSync(pnpmWorkspace)) {
+    return { source: 'pnpm-workspace.yaml', patterns: parsePnpmWorkspace(readFileSync(pnpmWorkspace, 'utf-8')) };
+  }
+
+  const packageJson = join(root, 'package.json');
+  if (existsSync(packageJson)) {
+    // npm and yarn take a list; yarn also takes { packages, nohoist }.
+    const { workspaces } = readJson(packageJson);
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    if (patterns) {
+      return { source: 'package.json workspaces', patterns };
+    }
+  }
+
+  const lernaJson = join(root, 'lerna.json');
+  if (existsSync(lernaJson)) {
+    return { source: 'lerna.json', patterns: readJson(lernaJson).packages || LERNA_DEFAULT_PACKAGES };
+  }
+
   return null;
 }
 
-async function main() {
-  console.log('Fetching list of publishable packages...');
+// List folders under root (relative, with / separators) down to maxDepth
+// levels below the start folder.
+function listDirs(root, start, maxDepth) {
+  const dirs = [];
+  const visit = (dir, depth) => {
+    dirs.push(dir);
+    if (depth >= maxDepth) return;
+    let entries;
+    try {
+      entries = readdirSync(join(root, dir), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) {
+        visit(dir ? `${dir}/${entry.name}` : entry.name, depth + 1);
+      }
+    }
+  };
+  if (existsSync(join(root, start))) {
+    visit(start, 0);
+  }
+  return dirs;
+}
+
+// Resolve workspace patterns to package folders that hold a package.json.
+// Patterns starting with ! exclude folders, as in pnpm-workspace.yaml.
+function findPackageDirs(root, patterns) {
+  const included = new Set();
+  const excluded = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => createGlobMatcher(pattern.slice(1)));
+
+  for (const pattern of patterns.filter((pattern) => !pattern.startsWith('!'))) {
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+    // Walk from the folder before the first glob, only as deep as the pattern reaches.
+    const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment));
+    const start = (firstGlob < 0 ? segments : segments.slice(0, firstGlob)).join('/');
+    const maxDepth = segments.includes('**') ? Infinity : firstGlob < 0 ? 0 : segments.length - firstGlob;
+    const matches = createGlobMatcher(pattern);
+
+    for (const dir of listDirs(root, start, maxDepth)) {
+      if (matches(dir) && existsSync(join(root, dir, 'package.json'))) {
+        included.add(dir);
+      }
+    }
+  }
+
+  return Array.from(included).filter((dir) => !excluded.some((matches) => matches(dir)));
+}
 
-  // Get all packages that would be published (--filter-prod excludes private packages).
-  const output = execSync(
-    'pnpm --filter-prod="./packages/**" --filter-prod="./vendor/**" list --json --depth 0 2>/dev/null',
-    { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
-  );
+// Whether a package passes the --scope, --include and --exclude filters.
+// Globs match either the package name or its folder.
+function createPackageFilter({ scopes, include, exclude }) {
+  const scopePrefixes = scopes.map((scope) => `@${scope.replace(/^@/, '').replace(/\/$/, '')}/`);
+  const includeMatchers = include.map(createGlobMatcher);
+  const excludeMatchers = exclude.map(createGlobMatcher);
+  const matchesAny = (matchers, pkg) => matchers.some((matches) => matches(pkg.name) || matches(pkg.path));
 
-  const packagesData = JSON.parse(output).filter((p) => p.name?.startsWith('@dxos/'));
+  return (pkg) =>
+    (scopePrefixes.length === 0 || scopePrefixes.some((prefix) => pkg.name.startsWith(prefix))) &&
+    (includeMatchers.length === 0 || matchesAny(includeMatchers, pkg)) &&
+    !matchesAny(excludeMatchers, pkg);
+}
 
-  // Double-check private field by reading package.json directly.
+// Read the workspace packages of the monorepo at root: { name, version, path }
+// with path relative to root. Private packages are returned separately.
+function getWorkspacePackages(root) {
+  const config = readWorkspaceConfig(root);
+  if (!config) {
+    console.log('No pnpm-workspace.yaml, package.json workspaces or lerna.json found; checking the root package only.');
+  } else {
+    console.log(`Reading workspace packages from ${config.source}.`);
+  }
+
+  const dirs = config ? findPackageDirs(root, config.patterns) : [''];
   const packages = [];
   const skippedPrivate = [];
 
-  for (const pkg of packagesData) {
-    const pkgJsonPath = join(pkg.path, 'package.json');
-    if (existsSync(pkgJsonPath)) {
-      const pkgJson = JSON.parse(readFileSync(pkgJsonPath, 'utf-8'));
-      if (pkgJson.private === true) {
-        skippedPrivate.push(pkg.name);
-        continue;
-      }
+  for (const dir of dirs) {
+    const path = join(root, dir, 'package.json');
+    if (!existsSync(path)) continue;
+    let pkgJson;
+    try {
+      pkgJson = readJson(path);
+    } catch (error) {
+      console.warn(`Skipping ${relative(root, path)}: ${error.message}`);
+      continue;
     }
-    packages.push(pkg.name);
+    if (!pkgJson.name) continue;
+    if (pkgJson.private === true) {
+      skippedPrivate.push(pkgJson.name);
+      continue;
+    }
+    packages.push({ name: pkgJson.name, version: pkgJson.version || null, path: dir || '.' });
   }
 
-  packages.sort();
+  return { packages, skippedPrivate, source: config?.source || null };
+}
 
-  if (skippedPrivate.length > 0) {
-    console.log(`Skipped ${skippedPrivate.length} private packages.`);
+async function checkPackageExists(packageName, registry) {
+  try {
+    const response = await fetch(`${registry}/${packageName.replace('/', '%2f')}`);
+    return response.status === 200;
+  } catch {
+    return false;
+  }
+}
+
+// Command to publish a package, in the package manager the workspace config belongs to.
+function getPublishCommand(pkg, root, source) {
+  if (source === 'pnpm-workspace.yaml') {
+    return `pnpm --filter "${pkg.name}" publish --no-git-checks --access public`;
+  }
+  return `(cd ${relative(process.cwd(), join(root, pkg.path)) || '.'} && npm publish --access public)`;
+}
+
+async function main() {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const root = resolve(getArg('root', '.'));
+  const registry = getArg('registry', DEFAULT_REGISTRY).replace(/\/+$/, '');
+  const textFile = getArg('output', 'unpublished-packages.txt');
+  const jsonFile = getArg('json', 'unpublished-packages.json');
+  const filter = createPackageFilter({ scopes: getArgs('scope'), include: getArgs('include'), exclude: getArgs('exclude') });
+
+  console.log('Fetching list of publishable packages...');
+
+  const workspace = getWorkspacePackages(root);
+  const packages = workspace.packages.filter(filter).sort((a, b) => a.name.localeCompare(b.name));
+
+  if (workspace.skippedPrivate.length > 0) {
+    console.log(`Skipped ${workspace.skippedPrivate.length} private packages.`);
+  }
+  const filteredOut = workspace.packages.length - packages.length;
+  if (filteredOut > 0) {
+    console.log(`Filtered out ${filteredOut} packages.`);
   }
 
   console.log(`Found ${packages.length} packages to check.\n`);
@@ -82,7 +281,7 @@ async function main() {
   for (let i = 0; i < packages.length; i += CONCURRENCY) {
     const batch = packages.slice(i, i + CONCURRENCY);
     const checks = batch.map(async (pkg) => {
-      const exists = await checkPackageExists(pkg);
+      const exists = await checkPackageExists(pkg.name, registry);
       checked++;
       process.stdout.write(`\r[${checked}/${packages.length}] Checking packages...`);
       return { pkg, exists };
@@ -111,25 +310,21 @@ async function main() {
     console.log('UNPUBLISHED PACKAGES');
     console.log('============================================');
     for (const pkg of results.unpublished) {
-      console.log(`  ${pkg}`);
+      console.log(`  ${pkg.name} (${pkg.path})`);
     }
 
     console.log('\n============================================');
     console.log('COMMANDS TO PUBLISH');
     console.log('============================================\n');
 
-    console.log('# Publish all unpublished packages at once:');
-    console.log('pnpm --filter-prod="./packages/**" --filter-prod="./vendor/**" publish --no-git-checks --access public\n');
-
-    console.log('# Or publish individually:');
     for (const pkg of results.unpublished) {
-      console.log(`pnpm --filter "${pkg}" publish --no-git-checks --access public`);
+      console.log(getPublishCommand(pkg, root, workspace.source));
     }
 
-    // Save to file.
-    const fs = await import('fs');
-    fs.writeFileSync('unpublished-packages.txt', results.unpublished.join('\n') + '\n');
-    console.log('\n\nSaved list to: unpublished-packages.txt');
+    // Save to files; the JSON list can be imported in the extension popup too.
+    writeFileSync(textFile, results.unpublished.map((pkg) => pkg.name).join('\n') + '\n');
+    writeFileSync(jsonFile, JSON.stringify(results.unpublished, null, 2) + '\n');
+    console.log(`\n\nSaved list to: ${textFile} and ${jsonFile}`);
   } else {
     console.log('All packages are published!');
   }
@@ -0,0 +1,337 @@
+// Fake chrome extension APIs for running the extension against the mock npm site.
+// One hub in the harness page holds storage, message listeners and the browser
+// tabs (iframes; a window opened by the extension is one more tab). Each
+// extension context (service worker, popup, content script) gets its own
+// `chrome` object from hub.connect().
+// Only the APIs the extension uses are stubbed.
+
+// Create a chrome.* style event.
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index >= 0) listeners.splice(index, 1);
+    },
+    hasListener: (listener) => listeners.includes(listener),
+  };
+}
+
+// Call event listeners, logging (not throwing) their errors as Chrome does.
+function callListeners(event, ...args) {
+  return event.listeners.map((listener) => {
+    try {
+      return listener(...args);
+    } catch (error) {
+      console.error('[chrome-stub] Listener failed:', error);
+      return undefined;
+    }
+  });
+}
+
+// Fetch a script synchronously and run it in a window's global scope.
+// Used for importScripts() and content script injection, which both run before
+// the caller continues.
+function runScriptSync(win, url) {
+  const request = new XMLHttpRequest();
+  request.open('GET', url, false);
+  request.send();
+  if (request.status !== 200) {
+    throw new Error(`Failed to load ${url}: ${request.status}`);
+  }
+  const script = win.document.createElement('script');
+  script.textContent = `${request.responseText}\n//# sourceURL=${url}`;
+  win.document.documentElement.append(script);
+  script.remove();
+}
+
+/**
+ * Create the hub.
+ * tabContainer: element the tab iframes are added to; tab 1 is the user's tab.
+ * siteOrigin: origin of the mock site; npmjs.com URLs are mapped onto it.
+ * contentScripts: script URLs injected into every mock site page a tab loads.
+ */
+function createChromeHub({ tabContainer, siteOrigin, contentScripts, npmOrigin = 'https://www.npmjs.com' }) {
+  const contexts = new Set();
+  const tabs = new Map(); // Tab id to { tab, frame }.
+  const onUpdated = createEvent();
+  const onRemoved = createEvent();
+  const onNotificationClicked = createEvent();
+  const onCommand = createEvent();
+  const onAlarm = createEvent();
+  const alarms = new Map(); // Alarm name to { alarm, timer }.
+  const badge = { text: '', color: null, title: '' };
+  const notifications = []; // Every notification shown, in order.
+  let nextTabId = 1;
+  let nextWindowId = 1;
+
+  // The extension only knows npmjs.com; the tabs really load the mock site.
+  const toSiteUrl = (url) => (url.startsWith(npmOrigin) ? siteOrigin + url.slice(npmOrigin.length) : url);
+  const toNpmUrl = (url) => (url.startsWith(siteOrigin) ? npmOrigin + url.slice(siteOrigin.length) : url);
+
+  // Deliver a message to the listeners of the given contexts.
+  // Resolves with the first response, or undefined if no listener keeps the channel open.
+  function deliver(targets, message, sender) {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        let responded = false;
+        const sendResponse = (response) => {
+          if (!responded) {
+            responded = true;
+            resolve(response);
+          }
+        };
+
+        let keepOpen = false;
+        for (const context of targets) {
+          const results = callListeners(context.onMessage, structuredClone(message), sender, sendResponse);
+          keepOpen = keepOpen || results.includes(true);
+        }
+        if (!keepOpen) {
+          sendResponse(undefined);
+        }
+      }, 0);
+    });
+  }
+
+  // Create a storage area ('local' or 'session') that tells every context about changes.
+  function createStorageArea(areaName) {
+    const storage = {};
+
+    function notifyStorageChanged(changes) {
+      setTimeout(() => {
+        for (const context of contexts) {
+          callListeners(context.onStorageChanged, structuredClone(changes), areaName);
+        }
+      }, 0);
+    }
+
+    function getKeys(keys) {
+      if (keys == null) return Object.keys(storage);
+      if (typeof keys === 'string') return [keys];
+      return Array.isArray(keys) ? keys : Object.keys(keys);
+    }
+
+    return {
+      async get(keys) {
+        const result = {};
+        for (const key of getKeys(keys)) {
+          if (key in storage) result[key] = structuredClone(storage[key]);
+        }
+        return result;
+      },
+      async set(items) {
+        const changes = {};
+        for (const [key, value] of Object.entries(items)) {
+          changes[key] = { oldValue: storage[key], newValue: structuredClone(value) };
+          storage[key] = structuredClone(value);
+        }
+        notifyStorageChanged(changes);
+      },
+      async remove(keys) {
+        const changes = {};
+        for (const key of getKeys(keys)) {
+          if (!(key in storage)) continue;
+          changes[key] = { oldValue: storage[key] };
+          delete storage[key];
+        }
+        notifyStorageChanged(changes);
+      },
+    };
+  }
+
+  const local = createStorageArea('local');
+  const session = createStorageArea('session');
+
+  // Get a tab by id, failing like Chrome does for closed tabs.
+  function getTab(tabId) {
+    const entry = tabs.get(tabId);
+    if (!entry) {
+      throw new Error(`No tab with id: ${tabId}.`);
+    }
+    return entry;
+  }
+
+  // Load a URL in a tab.
+  function navigate(entry, url) {
+    entry.tab.url = url;
+    entry.tab.status = 'loading';
+    callListeners(onUpdated, entry.tab.id, { status: 'loading', url }, { ...entry.tab });
+    entry.frame.src = toSiteUrl(url);
+  }
+
+  // Inject content scripts into each page a tab loads, as the manifest's content_scripts would.
+  function handleTabLoad(entry) {
+    const win = entry.frame.contentWindow;
+    for (const context of contexts) {
+      if (context.kind === 'content' && context.tabId === entry.tab.id) contexts.delete(context);
+    }
+
+    entry.tab.url = toNpmUrl(win.location.href);
+    entry.tab.title = win.document.title;
+    entry.tab.status = 'complete';
+
+    if (win.location.origin === siteOrigin) {
+      win.chrome = connect('content', entry.tab.id);
+      for (const script of contentScripts) {
+        runScriptSync(win, script);
+      }
+    }
+    callListeners(onUpdated, entry.tab.id, { status: 'complete' }, { ...entry.tab });
+  }
+
+  // Open a tab (an iframe in the tab container).
+  function createTab(url, windowId = 1) {
+    const frame = document.createElement('iframe');
+    const entry = { tab: { id: nextTabId++, windowId, url: '', title: '', status: 'complete', active: false }, frame };
+    frame.title = `Tab ${entry.tab.id}`;
+    frame.addEventListener('load', () => handleTabLoad(entry));
+    tabContainer.append(frame);
+    tabs.set(entry.tab.id, entry);
+    if (url) navigate(entry, url);
+    return entry;
+  }
+
+  // Close a tab.
+  function removeTab(tabId) {
+    const entry = getTab(tabId);
+    entry.frame.remove();
+    tabs.delete(tabId);
+    for (const context of contexts) {
+      if (context.kind === 'content' && context.tabId === tabId) contexts.delete(context);
+    }
+    callListeners(onRemoved, tabId, { windowId: entry.tab.windowId, isWindowClosing: false });
+  }
+
+  // The user's tab, which the popup sees as active.
+  const userTab = createTab(null);
+  userTab.tab.active = true;
+  nextWindowId++;
+
+  // Create the chrome object for one extension context ('worker', 'popup' or 'content').
+  function connect(kind, tabId) {
+    const context = { kind, tabId, onMessage: createEvent(), onStorageChanged: createEvent() };
+    contexts.add(context);
+    const sender = kind === 'content' ? { tab: { ...getTab(tabId).tab } } : {};
+
+    return {
+      runtime: {
+        id: 'mock-extension',
+        onMessage: context.onMessage,
+        onInstalled: createEvent(),
+        onStartup: createEvent(),
+        getManifest: () => ({ name: 'npm Trusted Publisher Setup' }),
+        getURL: (path) => `${siteOrigin}/extension/${path.replace(/^\//, '')}`,
+        // Runtime messages reach extension pages (worker and popup), never content scripts.
+        sendMessage: (message) =>
+          deliver(
+            Array.from(contexts).filter((other) => other !== context && other.kind !== 'content'),
+            message,
+            sender
+          ),
+      },
+      storage: {
+        local,
+        // Like Chrome's default access level, session storage is for extension pages only.
+        ...(kind !== 'content' ? { session } : {}),
+        onChanged: context.onStorageChanged,
+      },
+      tabs: {
+        onUpdated,
+        onRemoved,
+        create: async ({ url }) => ({ ...createTab(url).tab }),
+        query: async ({ active } = {}) =>
+          Array.from(tabs.values())
+            .filter((entry) => active === undefined || entry.tab.active === active)
+            .map((entry) => ({ ...entry.tab })),
+        get: async (tabId) => ({ ...getTab(tabId).tab }),
+        update: async (tabIdOrProperties, properties) => {
+          const entry = typeof tabIdOrProperties === 'number' ? getTab(tabIdOrProperties) : userTab;
+          const { url } = properties || tabIdOrProperties;
+          if (url) navigate(entry, url);
+          return { ...entry.tab };
+        },
+        remove: async (tabId) => removeTab(tabId),
+        sendMessage: (tabId, message) =>
+          deliver(
+            Array.from(contexts).filter((other) => other.kind === 'content' && other.tabId === tabId),
+            message,
+            { id: 'mock-extension' }
+          ),
+      },
+      windows: {
+        create: async ({ url }) => {
+          const entry = createTab(url, nextWindowId++);
+          return { id: entry.tab.windowId, tabs: [{ ...entry.tab }] };
+        },
+        update: async (windowId) => ({ id: windowId }),
+      },
+      scripting: {
+        executeScript: async ({ target, func, args = [] }) => {
+          const run = getTab(target.tabId).frame.contentWindow.eval(`(${func})`);
+          return [{ result: run(...args) }];
+        },
+      },
+      // Frames don't expose status codes; rate-limited mock pages are told apart by their title.
+      webRequest: {
+        onCompleted: createEvent(),
+      },
+      // Alarms are timers in the harness page, without Chrome's 30 second minimum.
+      alarms: {
+        onAlarm,
+        create: async (name, { periodInMinutes }) => {
+          clearInterval(alarms.get(name)?.timer);
+          const alarm = { name, periodInMinutes };
+          const timer = setInterval(() => callListeners(onAlarm, { ...alarm }), periodInMinutes * 60000);
+          alarms.set(name, { alarm, timer });
+        },
+        get: async (name) => (alarms.has(name) ? { ...alarms.get(name).alarm } : undefined),
+        clear: async (name) => {
+          clearInterval(alarms.get(name)?.timer);
+          return alarms.delete(name);
+        },
+      },
+      commands: {
+        onCommand,
+        getAll: async () => [],
+      },
+      action: {
+        setBadgeText: async ({ text }) => {
+          badge.text = text;
+        },
+        setBadgeBackgroundColor: async ({ color }) => {
+          badge.color = color;
+        },
+        setTitle: async ({ title }) => {
+          badge.title = title;
+        },
+      },
+      notifications: {
+        onClicked: onNotificationClicked,
+        create: async (id, options) => {
+          notifications.push({ id, ...options });
+          return id;
+        },
+        clear: async () => true,
+      },
+      permissions: {
+        request: async () => true,
+        contains: async () => true,
+      },
+    };
+  }
+
+  // Run scripts in a window before the caller continues, like importScripts() in a worker.
+  function importScripts(win, urls) {
+    for (const url of urls) {
+      runScriptSync(win, new URL(url, win.location.href).href);
+    }
+  }
+
+    // Press a keyboard shortcut.
+  const runCommand = (command) => callListeners(onCommand, command, { ...userTab.tab });
+
+  return { connect, importScripts, storage: local, tabs, removeTab, badge, notifications, runCommand };
+}
@@ -0,0 +1,133 @@
+// Scripted run of the extension against the mock npm site.
+// Loads the service worker and popup into iframes with the fake chrome API,
+// fills in the popup like a user would (including a TOTP secret for the OTP
+// prompts), starts a run over mock packages in every page state, and posts the
+// final state back to the server.
+//
+// Query parameters: count (number of packages, default 20), concurrency (run tabs,
+// default 1), timeout (seconds, default 300).
+
+const params = new URLSearchParams(location.search);
+const PACKAGE_COUNT = parseInt(params.get('count'), 10) || 20;
+const CONCURRENCY = parseInt(params.get('concurrency'), 10) || 1;
+const RUN_TIMEOUT = (parseInt(params.get('timeout'), 10) || 300) * 1000;
+
+const popupFrame = document.getElementById('popupFrame');
+const workerFrame = document.getElementById('workerFrame');
+
+const hub = createChromeHub({
+  tabContainer: document.getElementById('tabs'),
+  siteOrigin: location.origin,
+  contentScripts: [
+    '/extension/shared/providers.js',
+    '/extension/shared/access.js',
+    '/extension/content/adapter.js',
+    '/extension/content/content.js',
+  ],
+});
+window.harness = { connect: hub.connect, importScripts: hub.importScripts };
+
+// Log a progress line here and on the server's console.
+function log(line) {
+  document.getElementById('log').textContent += line + '\n';
+  fetch('/harness/log', { method: 'POST', body: JSON.stringify({ line }) }).catch(() => {});
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function loadFrame(frame, src) {
+  return new Promise((resolve) => {
+    frame.addEventListener('load', resolve, { once: true });
+    frame.src = src;
+  });
+}
+
+// Set a popup form field and fire the change event the popup listens for.
+function setField(doc, id, value) {
+  const element = doc.getElementById(id);
+  element.value = value;
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Mock package names, cycling through every page state.
+function createPackageList(count) {
+  return Array.from({ length: count }, (_, index) => `@mock/${PACKAGE_STATES[index % PACKAGE_STATES.length]}-${index + 1}`);
+}
+
+async function postResult(result) {
+  await fetch('/harness/result', { method: 'POST', body: JSON.stringify(result) });
+}
+
+async function run() {
+  const packages = createPackageList(PACKAGE_COUNT);
+  log(`Running ${packages.length} mock packages in ${CONCURRENCY} tab(s)`);
+
+  await loadFrame(workerFrame, '/extension/background/harness-worker.html');
+  await loadFrame(popupFrame, '/extension/popup/popup.html');
+  // Let the popup finish loading its state.
+  await sleep(500);
+
+  const doc = popupFrame.contentDocument;
+
+  // Store the mock account's TOTP secret so OTP prompts are filled in.
+  setField(doc, 'totpSecret', MOCK_TOTP_SECRET);
+  setField(doc, 'totpPassphrase', 'mock passphrase');
+  doc.getElementById('saveTotpBtn').click();
+  while (!doc.getElementById('totpStatus').textContent.startsWith('Unlocked')) {
+    await sleep(200);
+  }
+  setField(doc, 'mode', 'configure');
+  setField(doc, 'owner', MOCK_PUBLISHER.owner);
+  setField(doc, 'repository', MOCK_PUBLISHER.repository);
+  setField(doc, 'workflow', MOCK_PUBLISHER.workflow);
+  setField(doc, 'environment', MOCK_PUBLISHER.environment);
+  setField(doc, 'navigationMode', 'auto');
+  setField(doc, 'autoSubmit', 'true');
+  setField(doc, 'delay', '1');
+  setField(doc, 'concurrency', String(CONCURRENCY));
+  setField(doc, 'packages', packages.join('\n'));
+  await sleep(200);
+  doc.getElementById('startBtn').click();
+
+  const deadline = Date.now() + RUN_TIMEOUT;
+  let lastActive = '';
+  while (Date.now() < deadline) {
+    await sleep(500);
+    const { trustedPublisherState: state } = await hub.storage.get(['trustedPublisherState']);
+    if (!state?.runId) continue;
+
+    if (state.status === 'idle' && state.finishedAt) {
+      const { trustedPublisherHistory: history } = await hub.storage.get(['trustedPublisherHistory']);
+      log(`Run finished (badge ${hub.badge.text}, ${hub.notifications.length} notifications)`);
+      await postResult({ packages, state, history, notifications: hub.notifications });
+      return;
+    }
+
+    const active = state.lanes
+      .filter((lane) => lane.index !== null)
+      .sort((a, b) => a.index - b.index)
+      .map((lane) => state.packages[lane.index]);
+    const current = active[0];
+    if (active.join() !== lastActive) {
+      lastActive = active.join();
+      log(`[${state.currentIndex}/${state.packages.length}] ${active.join(', ')}`);
+    }
+
+    // Single-tab runs don't advance past failures; move on like a user pressing the Next shortcut.
+    if (state.status === 'running' && state.lanes.length === 1 && state.failed.includes(current)) {
+      log(`${current} failed (${state.results[current]?.reason}), moving on`);
+      await Promise.all(hub.runCommand('next-package'));
+    }
+  }
+
+  const { trustedPublisherState: state } = await hub.storage.get(['trustedPublisherState']);
+  log('Run timed out');
+  await postResult({ packages, state, timedOut: true });
+}
+
+run().catch((error) => {
+  log(`Harness error: ${error.stack || error}`);
+  postResult({ error: String(error.stack || error) });
+});
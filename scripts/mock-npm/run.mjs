@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Run the extension end to end against the mock npm site in headless Chrome,
+ * then check each package's outcome in the final trustedPublisherState.
+ *
+ * Usage: node scripts/mock-npm/run.mjs [--count 20] [--concurrency 1] [--timeout 300]
+ * Set CHROME_BIN if Chrome/Chromium isn't on the PATH as google-chrome or chromium.
+ * Exits non-zero if any package ends up with an unexpected outcome.
+ */
+
+import { spawn, execSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockServer, expectedOutcome } from './server.mjs';
+
+const CHROME_CANDIDATES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser'];
+
+// Characters of Chrome's stderr kept for error messages.
+const BROWSER_OUTPUT_LIMIT = 4000;
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? parseInt(process.argv[index + 1], 10) || fallback : fallback;
+}
+
+function findChrome() {
+  if (process.env.CHROME_BIN) return process.env.CHROME_BIN;
+  for (const candidate of CHROME_CANDIDATES) {
+    try {
+      execSync(`command -v ${candidate}`, { stdio: 'ignore' });
+      return candidate;
+    } catch {
+      // Try the next one.
+    }
+  }
+  return null;
+}
+
+// Compare each package's recorded outcome with the one its page state should produce.
+function checkResult({ packages, state }) {
+  const failures = [];
+  for (const pkg of packages) {
+    const expected = expectedOutcome(pkg);
+    const actual = state.results?.[pkg] || {};
+    const ok = actual.status === expected.status && (!expected.reason || actual.reason === expected.reason);
+    const describe = (outcome) => [outcome.status || 'none', outcome.reason].filter(Boolean).join('/');
+    console.log(`${ok ? '✓' : '✗'} ${pkg}: ${describe(actual)}${ok ? '' : ` (expected ${describe(expected)})`}`);
+    if (!ok) failures.push(pkg);
+  }
+  return failures;
+}
+
+async function main() {
+  const count = getArg('count', 20);
+  const concurrency = getArg('concurrency', 1);
+  const timeout = getArg('timeout', 300);
+
+  const chrome = findChrome();
+  if (!chrome) {
+    console.error('Chrome not found. Set CHROME_BIN to a Chrome or Chromium binary.');
+    process.exit(1);
+  }
+
+  let finish;
+  const finished = new Promise((resolve) => (finish = resolve));
+  const { server, url } = await startMockServer({ onResult: finish, onLog: (line) => console.log(`  ${line}`) });
+
+  const profileDir = mkdtempSync(join(tmpdir(), 'trusted-publisher-run-'));
+  const browser = spawn(
+    chrome,
+    [
+      '--headless=new',
+      '--disable-gpu',
+      '--no-first-run',
+      '--no-default-browser-check',
+      ...(process.getuid?.() === 0 || process.env.CI ? ['--no-sandbox'] : []),
+      `--user-data-dir=${profileDir}`,
+      `${url}/harness?count=${count}&concurrency=${concurrency}&timeout=${timeout}`,
+    ],
+    { stdio: ['ignore', 'ignore', 'pipe'] }
+  );
+
+  // Keep the end of Chrome's output to explain a failed launch or crash.
+  let browserOutput = '';
+  browser.stderr.on('data', (chunk) => {
+    browserOutput = (browserOutput + chunk).slice(-BROWSER_OUTPUT_LIMIT);
+  });
+  const withBrowserOutput = (message) => (browserOutput.trim() ? `${message}\nChrome output:\n${browserOutput.trim()}` : message);
+
+  // Chrome failing to start or quitting early ends the run; nothing will report back.
+  browser.on('error', (error) => finish({ error: `Could not start ${chrome}: ${error.message}` }));
+  browser.on('close', (code, signal) => {
+    finish({ error: withBrowserOutput(`Chrome exited (${signal || `code ${code}`}) before the harness reported back`) });
+  });
+
+  // Backstop in case the harness never reports back.
+  const timer = setTimeout(() => finish({ error: withBrowserOutput('No result from the harness') }), (timeout + 60) * 1000);
+
+  const result = await finished;
+  clearTimeout(timer);
+  browser.kill();
+  server.close();
+  rmSync(profileDir, { recursive: true, force: true });
+
+  if (result.error) {
+    console.error(`Run failed: ${result.error}`);
+    process.exit(1);
+  }
+
+  console.log('');
+  const failures = checkResult(result);
+  if (result.timedOut) {
+    console.error(`\nRun timed out after ${timeout}s`);
+  }
+  if (failures.length > 0 || result.timedOut) {
+    console.error(`\n${failures.length} of ${result.packages.length} packages had unexpected outcomes`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${result.packages.length} packages had the expected outcome`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
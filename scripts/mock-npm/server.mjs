@@ -0,0 +1,510 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for npmjs.com package access pages, plus the harness that runs
+ * the extension against it with a fake chrome API (see harness/).
+ *
+ * A package's page state comes from its name: @mock/<state>-<n>, where state is
+ * one of PACKAGE_STATES. Trusted publishers and publishing access set through
+ * the mock forms are kept in memory until the server stops. "otp" packages only
+ * save after a valid code for MOCK_TOTP_SECRET is entered, and "throttled"
+ * packages answer their first page loads with HTTP 429.
+ *
+ * Usage: node scripts/mock-npm/server.mjs [port]
+ * Then open http://127.0.0.1:<port>/harness in a browser.
+ */
+
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { dirname, extname, join, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+const EXTENSION_DIR = resolve(HERE, '../../extension');
+const HARNESS_DIR = join(HERE, 'harness');
+
+// Page states a mock package can be in.
+export const PACKAGE_STATES = ['unconfigured', 'configured', 'missing', 'challenge', 'otp', 'success', 'error', 'throttled'];
+
+// Trusted publisher of "configured" and "success" packages; the harness runs with the same config.
+export const MOCK_PUBLISHER = { owner: 'mock-org', repository: 'mock-repo', workflow: 'publish.yml', environment: '' };
+
+// TOTP secret of the mock npm account; "otp" packages ask for its code after submitting.
+export const MOCK_TOTP_SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DP';
+
+// How long the challenge stays up, in ms.
+const CHALLENGE_DURATION = 1500;
+
+// Page loads of a "throttled" package that get an HTTP 429 before the page is served.
+const THROTTLED_LOADS = 2;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+};
+
+// Get the page state of a mock package from its name.
+export function getPackageState(name) {
+  const base = name.split('/').pop();
+  return PACKAGE_STATES.find((state) => base === state || base.startsWith(`${state}-`)) || 'unconfigured';
+}
+
+// Outcome a configure run should record for a mock package.
+export function expectedOutcome(name) {
+  switch (getPackageState(name)) {
+    case 'configured':
+      return { status: 'skipped', reason: 'already-configured' };
+    case 'missing':
+      return { status: 'skipped', reason: 'not-found' };
+    case 'error':
+      return { status: 'failed', reason: 'npm-error' };
+    default:
+      return { status: 'completed' };
+  }
+}
+
+// Check a one-time password against the mock account's secret, allowing one step of clock drift.
+export function verifyTotp(code, time = Date.now()) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of MOCK_TOTP_SECRET) {
+    bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+
+  const step = Math.floor(time / 1000 / 30);
+  return [step - 1, step, step + 1].some((counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const expected = String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+    return expected === String(code);
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Providers the form offers, like npm: [id, name, label, publisher key] per input.
+// Only the chosen provider's inputs are in the form, as on npm.
+const FORM_PROVIDERS = {
+  github: {
+    label: 'GitHub Actions',
+    fields: [
+      ['oidc_repositoryOwner', 'repositoryOwner', 'Organization or user*', 'owner'],
+      ['oidc_repositoryName', 'repositoryName', 'Repository*', 'repository'],
+      ['oidc_workflowName', 'workflowName', 'Workflow filename*', 'workflow'],
+      ['oidc_githubEnvironmentName', 'githubEnvironmentName', 'Environment name', 'environment'],
+    ],
+  },
+  gitlab: {
+    label: 'GitLab CI/CD',
+    fields: [
+      ['oidc_namespace', 'namespace', 'Namespace*', 'namespace'],
+      ['oidc_projectName', 'projectName', 'Project name*', 'project'],
+      ['oidc_ciConfigPath', 'ciConfigPath', 'Top-level CI file path*', 'ciFile'],
+      ['oidc_gitlabEnvironmentName', 'gitlabEnvironmentName', 'Environment name', 'environment'],
+    ],
+  },
+};
+
+// Render a provider's inputs, prefilled from a publisher.
+function renderFields(provider, publisher) {
+  return FORM_PROVIDERS[provider].fields
+    .map(
+      ([id, name, label, key]) =>
+        `<div><label for="${id}">${label}</label><input id="${id}" name="${name}" value="${escapeHtml(publisher?.[key] || '')}"></div>`
+    )
+    .join('');
+}
+
+// Render the trusted publisher form, prefilled from an existing publisher when editing.
+function renderForm(publisher, hidden) {
+  const provider = publisher?.provider || 'github';
+  const buttons = Object.entries(FORM_PROVIDERS)
+    .map(([id, { label }]) => `<button type="button" data-provider="${id}">${label}</button>`)
+    .join(' ');
+  return `
+    <form id="publisher-form" data-provider="${provider}"${hidden ? ' hidden' : ''}>
+      <div class="providers">${buttons}</div>
+      <div id="publisher-fields">${renderFields(provider, publisher)}</div>
+      <button type="submit">${publisher ? 'Update' : 'Set up connection'}</button>
+    </form>`;
+}
+
+// Render an existing trusted publisher with its Edit and Delete buttons.
+function renderPublisher(publisher) {
+  const rows =
+    publisher.provider === 'gitlab'
+      ? [
+          ['Project', `${publisher.namespace}/${publisher.project}`],
+          ['CI file path', publisher.ciFile],
+        ]
+      : [
+          ['Repository', `${publisher.owner}/${publisher.repository}`],
+          ['Workflow', publisher.workflow],
+        ];
+  return `
+    <div class="publisher">
+      <div><span>Publisher</span><span>${FORM_PROVIDERS[publisher.provider || 'github'].label}</span></div>
+      ${rows.map(([label, value]) => `<div><span>${label}</span><span>${escapeHtml(value)}</span></div>`).join('\n      ')}
+      <div><span>Environment</span><span>${escapeHtml(publisher.environment || '-')}</span></div>
+      <button type="button" id="editBtn">Edit</button>
+      <button type="button" id="deleteBtn">Delete</button>
+    </div>`;
+}
+
+// Publishing access options, like npm's: [value of the "mfa" radio, label].
+const ACCESS_OPTIONS = [
+  ['none', "Don't require two-factor authentication"],
+  ['automation', 'Require two-factor authentication or an automation or granular access token'],
+  ['publish', 'Require two-factor authentication and disallow tokens (recommended)'],
+];
+
+// Render the publishing access form with a policy selected.
+function renderAccessForm(policy) {
+  const options = ACCESS_OPTIONS.map(
+    ([value, label]) => `<label><input type="radio" name="mfa" value="${value}"${value === policy ? ' checked' : ''}> ${label}</label>`
+  );
+  return `
+    <form id="access-form">
+      ${options.join('\n      ')}
+      <button type="submit">Update Package Settings</button>
+    </form>`;
+}
+
+// Render a package access page.
+function renderAccessPage(name, state, publisher, policy) {
+  const toast =
+    state === 'success' ? '<div id="notification" role="alert">Successfully set up trusted publisher</div>' : '';
+  const challenge = state === 'challenge' ? '<div id="cf-turnstile" class="cf-turnstile">Verify you are human</div>' : '';
+
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(name)} - npm</title></head>
+<body>
+  <header>
+    <h1>${escapeHtml(name)}</h1>
+    <nav><a href="/package/${escapeHtml(name)}">Readme</a> <a href="/package/${escapeHtml(name)}/access">Settings</a></nav>
+  </header>
+  <div id="notifications">${toast}</div>
+  ${challenge}
+  <main>
+    <h2>Trusted Publisher</h2>
+    ${publisher ? renderPublisher(publisher) : ''}
+    ${renderForm(publisher, !!publisher)}
+    <h2>Publishing access</h2>
+    ${renderAccessForm(policy)}
+  </main>
+  <script>
+    const PACKAGE = ${JSON.stringify(name)};
+    const STATE = ${JSON.stringify(state)};
+    const CHALLENGE_DURATION = ${CHALLENGE_DURATION};
+    const FORM_PROVIDERS = ${JSON.stringify(FORM_PROVIDERS)};
+
+    function notify(message) {
+      document.getElementById('notifications').innerHTML = '<div id="notification" role="alert"></div>';
+      document.getElementById('notification').textContent = message;
+    }
+
+    async function savePublisher(publisher) {
+      await fetch('/api/publisher', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ name: PACKAGE, publisher }),
+      });
+    }
+
+    function promptForOtp() {
+      return new Promise((resolve) => {
+        const prompt = document.createElement('form');
+        prompt.id = 'otp-form';
+        prompt.innerHTML =
+          '<label for="otp">One-time password</label>' +
+          '<input id="otp" name="otp" autocomplete="one-time-code" inputmode="numeric">' +
+          '<button type="submit">Verify</button><p id="otp-message"></p>';
+        prompt.addEventListener('submit', async (event) => {
+          event.preventDefault();
+          const response = await fetch('/api/otp', { method: 'POST', body: JSON.stringify({ code: prompt.otp.value }) });
+          const { valid } = await response.json();
+          if (valid) {
+            prompt.remove();
+            resolve();
+          } else {
+            document.getElementById('otp-message').textContent = 'Invalid one-time password';
+          }
+        });
+        document.body.append(prompt);
+      });
+    }
+
+    // The challenge clears by itself, as if the user had solved it.
+    setTimeout(() => document.getElementById('cf-turnstile')?.remove(), CHALLENGE_DURATION);
+
+    document.getElementById('editBtn')?.addEventListener('click', () => {
+      document.getElementById('publisher-form').hidden = false;
+    });
+
+    document.getElementById('deleteBtn')?.addEventListener('click', async () => {
+      await savePublisher(null);
+      document.querySelector('.publisher').remove();
+      notify('Successfully removed trusted publisher');
+    });
+
+    // Choosing a provider swaps in its (empty) inputs.
+    for (const button of document.querySelectorAll('#publisher-form [data-provider]')) {
+      button.addEventListener('click', () => {
+        const { provider } = button.dataset;
+        document.getElementById('publisher-form').dataset.provider = provider;
+        document.getElementById('publisher-fields').innerHTML = FORM_PROVIDERS[provider].fields
+          .map(([id, name, label]) => '<div><label for="' + id + '">' + label + '</label><input id="' + id + '" name="' + name + '"></div>')
+          .join('');
+      });
+    }
+
+    document.getElementById('publisher-form').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const form = event.target;
+      const { provider } = form.dataset;
+      const publisher = { provider };
+      for (const [, name, , key] of FORM_PROVIDERS[provider].fields) {
+        publisher[key] = form[name].value;
+      }
+
+      if (STATE === 'error') {
+        notify(provider === 'gitlab' ? 'Error: unable to verify the GitLab project' : 'Error: unable to verify the GitHub repository');
+        return;
+      }
+
+      // OTP prompt after submitting; it stays up until a valid code is entered.
+      if (STATE === 'otp') {
+        await promptForOtp();
+      }
+
+      await savePublisher(publisher);
+      notify('Successfully set up trusted publisher');
+    });
+
+    document.getElementById('access-form').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      if (STATE === 'otp') {
+        await promptForOtp();
+      }
+      await fetch('/api/access', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ name: PACKAGE, policy: event.target.mfa.value }),
+      });
+      notify('Successfully updated package settings');
+    });
+  </script>
+</body>
+</html>`;
+}
+
+function renderNotFoundPage() {
+  return '<!doctype html><html><head><title>404 Not Found</title></head><body>not found</body></html>';
+}
+
+function renderTooManyRequestsPage() {
+  return '<!doctype html><html><head><title>429 Too Many Requests</title></head><body>Too many requests</body></html>';
+}
+
+// Extension pages get the fake chrome API before their own scripts run.
+function injectChromeStub(html, preamble) {
+  return html.replace('<head>', `<head>\n  <script>${preamble}</script>`);
+}
+
+// Page that runs the service worker script in the harness.
+const WORKER_PAGE = `<!doctype html>
+<html>
+<head>
+  <script>
+    window.chrome = parent.harness.connect('worker');
+    window.importScripts = (...urls) => parent.harness.importScripts(window, urls);
+  </script>
+  <script src="service-worker.js"></script>
+</head>
+</html>`;
+
+// Resolve a URL path inside a directory, refusing paths that escape it.
+function resolveInside(root, path) {
+  const file = resolve(root, `.${decodeURIComponent(path)}`);
+  return file === root || file.startsWith(root + sep) ? file : null;
+}
+
+function send(res, status, body, type = CONTENT_TYPES['.html']) {
+  res.writeHead(status, { 'content-type': type, 'cache-control': 'no-store' });
+  res.end(body);
+}
+
+function sendFile(res, file, transform) {
+  if (!file || !existsSync(file) || !statSync(file).isFile()) {
+    send(res, 404, 'Not found', 'text/plain');
+    return;
+  }
+  const type = CONTENT_TYPES[extname(file)] || 'application/octet-stream';
+  const body = transform ? transform(readFileSync(file, 'utf-8')) : readFileSync(file);
+  send(res, 200, body, type);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Start the mock site.
+ * onResult(result) is called when the harness posts its final state;
+ * onLog(line) for progress lines the harness posts along the way.
+ */
+export function startMockServer({ port = 0, onResult = () => {}, onLog = (line) => console.log(line) } = {}) {
+  // Trusted publisher per package name (null when deleted).
+  const publishers = new Map();
+
+  // Publishing access policy per package name; packages start without 2FA required.
+  const policies = new Map();
+
+  // Page loads so far per "throttled" package.
+  const throttledLoads = new Map();
+
+  function getPublisher(name) {
+    if (!publishers.has(name)) {
+      const state = getPackageState(name);
+      publishers.set(name, state === 'configured' || state === 'success' ? { ...MOCK_PUBLISHER } : null);
+    }
+    return publishers.get(name);
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+
+    try {
+      if (req.method === 'POST' && path === '/api/publisher') {
+        const { name, publisher } = await readJson(req);
+        publishers.set(name, publisher);
+        send(res, 200, '{}', CONTENT_TYPES['.json']);
+        return;
+      }
+
+      if (req.method === 'POST' && path === '/api/access') {
+        const { name, policy } = await readJson(req);
+        policies.set(name, policy);
+        send(res, 200, '{}', CONTENT_TYPES['.json']);
+        return;
+      }
+
+      if (req.method === 'POST' && path === '/api/otp') {
+        const { code } = await readJson(req);
+        send(res, 200, JSON.stringify({ valid: verifyTotp(code) }), CONTENT_TYPES['.json']);
+        return;
+      }
+
+      if (req.method === 'POST' && path === '/harness/result') {
+        const result = await readJson(req);
+        send(res, 200, '{}', CONTENT_TYPES['.json']);
+        onResult(result);
+        return;
+      }
+
+      if (req.method === 'POST' && path === '/harness/log') {
+        const { line } = await readJson(req);
+        onLog(line);
+        send(res, 200, '{}', CONTENT_TYPES['.json']);
+        return;
+      }
+
+      const access = path.match(/^\/package\/(.+?)\/access\/?$/);
+      if (access) {
+        const name = decodeURIComponent(access[1]);
+        const state = getPackageState(name);
+        const loads = (throttledLoads.get(name) || 0) + 1;
+        if (state === 'throttled') throttledLoads.set(name, loads);
+
+        if (state === 'missing') {
+          send(res, 404, renderNotFoundPage());
+        } else if (state === 'throttled' && loads <= THROTTLED_LOADS) {
+          send(res, 429, renderTooManyRequestsPage());
+        } else {
+          send(res, 200, renderAccessPage(name, state, getPublisher(name), policies.get(name) || 'none'));
+        }
+        return;
+      }
+
+      if (path === '/harness' || path === '/harness/') {
+        sendFile(res, join(HARNESS_DIR, 'harness.html'));
+        return;
+      }
+
+      if (path === '/harness/config.js') {
+        const config = [
+          `const PACKAGE_STATES = ${JSON.stringify(PACKAGE_STATES)};`,
+          `const MOCK_PUBLISHER = ${JSON.stringify(MOCK_PUBLISHER)};`,
+          `const MOCK_TOTP_SECRET = ${JSON.stringify(MOCK_TOTP_SECRET)};`,
+        ].join('\n');
+        send(res, 200, config, CONTENT_TYPES['.js']);
+        return;
+      }
+
+      if (path.startsWith('/harness/')) {
+        sendFile(res, resolveInside(HARNESS_DIR, path.slice('/harness'.length)));
+        return;
+      }
+
+      if (path === '/extension/background/harness-worker.html') {
+        send(res, 200, WORKER_PAGE);
+        return;
+      }
+
+      if (path === '/extension/popup/popup.html') {
+        sendFile(res, join(EXTENSION_DIR, 'popup/popup.html'), (html) =>
+          injectChromeStub(html, "window.chrome = parent.harness.connect('popup');")
+        );
+        return;
+      }
+
+      if (path.startsWith('/extension/')) {
+        sendFile(res, resolveInside(EXTENSION_DIR, path.slice('/extension'.length)));
+        return;
+      }
+
+      send(res, 404, renderNotFoundPage());
+    } catch (error) {
+      send(res, 500, String(error.stack || error), 'text/plain');
+    }
+  });
+
+  return new Promise((resolvePromise) => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolvePromise({ server, url });
+    });
+  });
+}
+
+// Run standalone.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 8080;
+  const { url } = await startMockServer({
+    port,
+    onResult: (result) => console.log('Run finished:', JSON.stringify(result.state?.results, null, 2)),
+  });
+  console.log(`Mock npm site at ${url}`);
+  console.log(`Harness at ${url}/harness`);
+}
@@ -0,0 +1,287 @@
+// Tests for the access page DOM adapter in extension/content/adapter.js,
+// against saved pages in test/fixtures/access-page.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage } from './helpers.mjs';
+
+const SCRIPTS = ['extension/shared/access.js', 'extension/content/adapter.js'];
+
+// Lookups the content script makes on every page load of a configure run
+// (see handlePageLoad in content/content.js), before filling any form.
+const PAGE_LOAD_LOOKUPS = ['challenge', 'notFound', 'successNotice', 'errorNotice', 'editButton', 'deleteButton'];
+
+// Open a fixture with an adapter over it. Matches are collected as
+// "element:strategy", and fallbacks separately.
+function openPage(fixture) {
+  const window = loadPage(`access-page/${fixture}.html`, SCRIPTS);
+  const matches = [];
+  const fallbacks = [];
+  const page = window.createAccessPageAdapter(window.document, (name, strategy, fallback) => {
+    matches.push(`${name}:${strategy}`);
+    if (fallback) fallbacks.push(`${name}:${strategy}`);
+  });
+  return { window, document: window.document, page, matches, fallbacks };
+}
+
+// Copy objects out of the page's realm, so strict equality doesn't compare prototypes.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('access page adapter', () => {
+  describe('unconfigured page', () => {
+    it('finds the form with the primary strategies', () => {
+      const { page, fallbacks } = openPage('unconfigured');
+      for (const name of ['ownerInput', 'repositoryInput', 'workflowInput', 'environmentInput']) {
+        assert.equal(page.find(name)?.strategy, 'oidc-id', name);
+      }
+      assert.equal(page.find('githubActionsButton')?.strategy, 'button-text');
+      assert.equal(page.find('setupButton')?.strategy, 'button-text');
+      assert.equal(page.get('setupButton').textContent, 'Set up connection');
+      assert.deepEqual(fallbacks, []);
+    });
+
+    it('has no publisher, notice, 404 or challenge', () => {
+      const { page, fallbacks } = openPage('unconfigured');
+      for (const name of PAGE_LOAD_LOOKUPS) {
+        assert.equal(page.has(name), false, name);
+      }
+      assert.equal(page.readPublisher(), null);
+      assert.deepEqual(fallbacks, []);
+    });
+
+    it('reads the publishing access policy', () => {
+      const { page } = openPage('unconfigured');
+      assert.equal(page.readPublishingAccess(), 'none');
+      assert.equal(page.find(page.publishingAccessElement('publish'))?.strategy, 'input-value');
+      assert.equal(page.find('accessSubmitButton')?.strategy, 'button-text');
+    });
+
+    it('opens the GitLab form by its button', () => {
+      const { page } = openPage('unconfigured');
+      assert.equal(page.get('gitlabButton').textContent, 'GitLab CI/CD');
+      assert.equal(page.has('namespaceInput'), false);
+    });
+  });
+
+  describe('configured page', () => {
+    it('reads the saved trusted publisher', () => {
+      const { page } = openPage('configured');
+      assert.deepEqual(plain(page.readPublisher()), {
+        provider: 'github',
+        owner: 'acme',
+        repository: 'widgets',
+        workflow: 'release.yml',
+        environment: '',
+      });
+      assert.equal(page.readPublishingAccess(), 'publish');
+    });
+
+    it('reads a GitHub publisher whose repository and workflow are named after GitLab', () => {
+      const { page, document } = openPage('configured');
+      const values = document.querySelectorAll('.oidc-publisher-row span:last-child');
+      values[1].textContent = 'acme/gitlab-mirror';
+      values[2].textContent = '.github/workflows/sync-to-gitlab.yml';
+      assert.deepEqual(plain(page.readPublisher()), {
+        provider: 'github',
+        owner: 'acme',
+        repository: 'gitlab-mirror',
+        workflow: 'sync-to-gitlab.yml',
+        environment: '',
+      });
+    });
+
+    it('finds no setup button in the hidden edit form', () => {
+      const { page, matches } = openPage('configured');
+      assert.equal(page.get('setupButton'), null);
+      assert.deepEqual(matches, []);
+    });
+
+    it('makes its page load lookups without fallbacks', () => {
+      const { page, fallbacks } = openPage('configured');
+      for (const name of PAGE_LOAD_LOOKUPS) page.has(name);
+      page.readPublisher();
+      page.readPublishingAccess();
+      assert.equal(page.has('editButton'), true);
+      assert.equal(page.has('deleteButton'), true);
+      assert.deepEqual(fallbacks, []);
+    });
+
+    it('submits edits with the edit form button', () => {
+      const { page, document } = openPage('configured');
+      page.click('editButton');
+      document.querySelector('form.oidc-form').hidden = false;
+      assert.equal(page.find('updateButton')?.strategy, 'form-submit');
+      assert.equal(page.get('updateButton').textContent, 'Update');
+    });
+  });
+
+  describe('configured GitLab page', () => {
+    it('reads the saved trusted publisher', () => {
+      const { page } = openPage('configured-gitlab');
+      assert.deepEqual(plain(page.readPublisher()), {
+        provider: 'gitlab',
+        namespace: 'acme/tools',
+        project: 'widgets',
+        ciFile: '.gitlab-ci.yml',
+        environment: 'production',
+      });
+    });
+
+    it('tells the provider from the field labels when there is no Publisher row', () => {
+      const gitlab = openPage('configured-gitlab');
+      gitlab.document.querySelector('.oidc-publisher-row').remove();
+      assert.equal(gitlab.page.readPublisher().provider, 'gitlab');
+
+      const github = openPage('configured');
+      github.document.querySelector('.oidc-publisher-row').remove();
+      github.document.querySelectorAll('.oidc-publisher-row span:last-child')[0].textContent = 'acme/gitlab-mirror';
+      assert.equal(github.page.readPublisher().provider, 'github');
+    });
+  });
+
+  describe('success page', () => {
+    it('finds the success notice', () => {
+      const { page } = openPage('success');
+      assert.match(page.get('successNotice').textContent, /^Successfully set up trusted publisher/);
+      assert.equal(page.has('errorNotice'), false);
+    });
+
+    it('finds every success notice when npm stacks them', () => {
+      const { page, document } = openPage('success');
+      const first = page.get('successNotice');
+      const second = document.createElement('div');
+      second.setAttribute('role', 'alert');
+      second.textContent = 'Package settings updated successfully';
+      document.getElementById('notification-container').append(second);
+      assert.equal(page.get('successNotice'), first);
+      const notices = page.getAll('successNotice');
+      assert.equal(notices.length, 2);
+      assert.equal(notices[0], first);
+      assert.equal(notices[1], second);
+      assert.equal(page.getAll('errorNotice').length, 0);
+    });
+
+    it('makes its page load lookups without fallbacks', () => {
+      const { page, fallbacks } = openPage('success');
+      for (const name of PAGE_LOAD_LOOKUPS) page.has(name);
+      page.readPublishingAccess();
+      assert.equal(page.get('setupButton'), null);
+      assert.deepEqual(fallbacks, []);
+    });
+  });
+
+  describe('error page', () => {
+    it('finds the error alert and no success', () => {
+      const { page, fallbacks } = openPage('error');
+      assert.equal(page.find('errorNotice')?.strategy, 'notification-text');
+      assert.match(page.get('errorNotice').textContent, /workflow file was not found/);
+      assert.equal(page.has('successNotice'), false);
+      assert.deepEqual(fallbacks, []);
+    });
+  });
+
+  describe('404 page', () => {
+    it('is recognized as not found', () => {
+      const { page } = openPage('not-found');
+      assert.equal(page.find('notFound')?.strategy, 'json-body');
+      assert.equal(page.has('challenge'), false);
+      assert.equal(page.has('ownerInput'), false);
+    });
+  });
+
+  describe('challenge page', () => {
+    it('is recognized as a challenge, not a 404', () => {
+      const { page, fallbacks } = openPage('challenge');
+      assert.equal(page.find('challenge')?.strategy, 'cloudflare-title');
+      assert.equal(page.has('notFound'), false);
+      assert.equal(page.has('otpInput'), false);
+      assert.deepEqual(fallbacks, []);
+    });
+
+    it('reports later challenge signs without calling them fallbacks', () => {
+      const { page, document, fallbacks } = openPage('challenge');
+      document.title = 'npm';
+      assert.equal(page.find('challenge')?.strategy, 'cloudflare-page');
+      assert.deepEqual(fallbacks, []);
+    });
+  });
+
+  describe('fallbacks', () => {
+    it('finds inputs by name or label when npm changes their ids', () => {
+      const { page, document, fallbacks } = openPage('unconfigured');
+      document.getElementById('oidc_repositoryOwner').removeAttribute('id');
+      const workflow = document.getElementById('oidc_workflowName');
+      workflow.removeAttribute('name');
+      workflow.id = 'workflow-input';
+      document.querySelector('label[for="oidc_workflowName"]').htmlFor = 'workflow-input';
+
+      assert.equal(page.find('ownerInput')?.strategy, 'input-name');
+      assert.equal(page.get('workflowInput'), workflow);
+      assert.deepEqual(fallbacks, ['ownerInput:input-name', 'workflowInput:label-text']);
+    });
+
+    it('falls back to the setup form submit button when its text changes', () => {
+      const { page, document, fallbacks } = openPage('unconfigured');
+      document.querySelector('form.oidc-form button[type="submit"]').textContent = 'Connect';
+      assert.equal(page.get('setupButton').textContent, 'Connect');
+      assert.deepEqual(fallbacks, ['setupButton:form-submit']);
+    });
+
+    it('reads publishing access by label when the radio values change', () => {
+      const { page, document, fallbacks } = openPage('configured');
+      for (const input of document.querySelectorAll('input[name="mfa"]')) input.value = 'x';
+      assert.equal(page.readPublishingAccess(), 'publish');
+      assert.ok(fallbacks.includes('accessPublishOption:label-text'));
+    });
+
+    it('finds the edit form button by its text when npm renames the inputs', () => {
+      const { page, document, fallbacks } = openPage('configured');
+      for (const input of document.querySelectorAll('form.oidc-form input')) {
+        input.removeAttribute('id');
+        input.removeAttribute('name');
+      }
+      assert.equal(page.get('updateButton'), document.querySelector('form.oidc-form button[type="submit"]'));
+      assert.deepEqual(fallbacks, ['updateButton:button-text']);
+    });
+
+    it("doesn't take another form's button for the edit form's", () => {
+      const { page, document } = openPage('configured');
+      document.querySelector('form.oidc-form button[type="submit"]').remove();
+      assert.equal(page.get('accessSubmitButton').textContent, 'Update Package Settings');
+      assert.equal(page.get('updateButton'), null);
+
+      // Also when the edit form can't be found by its inputs.
+      for (const input of document.querySelectorAll('form.oidc-form input')) {
+        input.removeAttribute('id');
+        input.removeAttribute('name');
+      }
+      assert.equal(page.get('updateButton'), null);
+    });
+
+    it('names the strategies it tried', () => {
+      const { page } = openPage('not-found');
+      assert.equal(page.describe('setupButton'), 'button-text, form-submit');
+      assert.throws(() => page.get('nope'), /Unknown page element: nope/);
+    });
+  });
+
+  describe('waitFor', () => {
+    it('resolves once the element is added', async () => {
+      const { page, document } = openPage('success');
+      const waiting = page.waitFor('errorNotice', 1000);
+      const alert = document.createElement('div');
+      alert.setAttribute('role', 'alert');
+      alert.id = 'notification';
+      alert.textContent = 'Error: rate limited';
+      document.getElementById('notification-container').replaceChildren(alert);
+      assert.equal(await waiting, alert);
+    });
+
+    it('rejects after the timeout, naming the strategies', async () => {
+      const { page } = openPage('configured');
+      await assert.rejects(page.waitFor('setupButton', 50), /setupButton not found within 50ms \(tried: button-text, form-submit\)/);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+// Load the extension's plain scripts into a sandbox, the way the browser loads
+// them with <script> tags or importScripts(): one shared global scope.
+
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import vm from 'vm';
+
+const ROOT = new URL('../', import.meta.url);
+
+// Run the scripts (paths relative to the repo root) in a new context with the
+// given globals. Top-level consts aren't properties of the context, so read
+// them with context.get('NAME').
+export function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, structuredClone, URL, ...globals });
+  for (const file of files) {
+    vm.runInContext(readFileSync(new URL(file, ROOT), 'utf-8'), context, { filename: file });
+  }
+  context.get = (name) => vm.runInContext(name, context);
+  return context;
+}
+
+// Open a saved page (a file under test/fixtures) in jsdom and run the scripts in
+// its window, like content scripts. Returns the window.
+export function loadPage(fixture, files, url = 'https://www.npmjs.com/package/@acme/widgets/access') {
+  const html = readFileSync(new URL(`test/fixtures/${fixture}`, ROOT), 'utf-8');
+  const { window } = new JSDOM(html, { url, runScripts: 'outside-only' });
+  for (const file of files) {
+    window.eval(readFileSync(new URL(file, ROOT), 'utf-8'));
+  }
+  return window;
+}
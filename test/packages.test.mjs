@@ -0,0 +1,126 @@
+// Tests for package list parsing in extension/popup/packages.js.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadScripts } from './helpers.mjs';
+
+const popup = loadScripts(['extension/shared/providers.js', 'extension/popup/packages.js']);
+
+// Parse a package list into plain objects.
+function parse(text) {
+  return JSON.parse(JSON.stringify(popup.parsePackages(text)));
+}
+
+describe('parsePackages', () => {
+  it('reads names, comments and install commands', () => {
+    const { packages, invalid } = parse('@acme/a\n# comment\n\n@acme/b, @acme/c  # inline\nnpm i -D @acme/d@1.2.0 "left-pad"');
+    assert.deepEqual(packages, ['@acme/a', '@acme/b', '@acme/c', '@acme/d', 'left-pad']);
+    assert.deepEqual(invalid, []);
+  });
+
+  it('lists invalid names with their line', () => {
+    const { packages, invalid } = parse('@acme/a\n@acme/Bad\n@acme/react-*');
+    assert.deepEqual(packages, ['@acme/a']);
+    assert.deepEqual(invalid, [
+      { line: 2, text: '@acme/Bad', name: '@acme/Bad', error: 'npm names are lowercase' },
+      { line: 3, text: '@acme/react-*', name: '@acme/react-*', error: 'Pattern matches no packages in its scope' },
+    ]);
+  });
+
+  describe('overrides', () => {
+    it("applies a line's overrides to each of its names", () => {
+      const { packages, overrides } = parse('@acme/a @acme/b workflow=release.yml repo=acme/tools\n@acme/c');
+      assert.deepEqual(packages, ['@acme/a', '@acme/b', '@acme/c']);
+      const expected = { workflow: 'release.yml', owner: 'acme', repository: 'tools' };
+      assert.deepEqual(overrides, { '@acme/a': expected, '@acme/b': expected });
+    });
+
+    it('splits GitLab projects with subgroups', () => {
+      const { overrides } = parse('@acme/a provider=gitlab project=acme/group/tool ci=.gitlab-ci.yml env=prod');
+      assert.deepEqual(overrides['@acme/a'], {
+        provider: 'gitlab',
+        namespace: 'acme/group',
+        project: 'tool',
+        ciFile: '.gitlab-ci.yml',
+        environment: 'prod',
+      });
+    });
+
+    it('lists a line with an unknown key as a problem instead of running it with the global config', () => {
+      const { packages, overrides, invalid } = parse('@acme/a\n@acme/b worklfow=release.yml');
+      assert.deepEqual(packages, ['@acme/a']);
+      assert.deepEqual(overrides, {});
+      assert.equal(invalid.length, 1);
+      assert.equal(invalid[0].line, 2);
+      assert.equal(invalid[0].name, '@acme/b');
+      assert.match(invalid[0].error, /^Unknown override "worklfow"/);
+    });
+
+    it('lists a line with an unknown provider as a problem', () => {
+      const { packages, invalid } = parse('@acme/a @acme/b provider=bitbucket');
+      assert.deepEqual(packages, []);
+      assert.deepEqual(
+        invalid.map(({ name, error }) => [name, error]),
+        [
+          ['@acme/a', 'Unknown provider "bitbucket" (use github or gitlab)'],
+          ['@acme/b', 'Unknown provider "bitbucket" (use github or gitlab)'],
+        ]
+      );
+    });
+
+    it('formats overrides back into lines', () => {
+      const { packages, overrides } = parse('@acme/a workflow=release.yml\n@acme/b');
+      assert.equal(popup.formatPackages(packages, overrides), '@acme/a workflow=release.yml\n@acme/b');
+    });
+  });
+
+  describe('duplicates', () => {
+    it('leaves out exact duplicates', () => {
+      const { packages, duplicates, invalid } = parse('@acme/a\n@acme/b\n@acme/a');
+      assert.deepEqual(packages, ['@acme/a', '@acme/b']);
+      assert.deepEqual(duplicates, ['@acme/a']);
+      assert.deepEqual(invalid, []);
+    });
+
+    it('lists a name given again with other overrides as a problem', () => {
+      const { packages, overrides, duplicates, invalid } = parse(
+        '@acme/a workflow=release.yml\n@acme/b\n@acme/a workflow=publish.yml\n@acme/b env=prod\n@acme/a workflow=release.yml'
+      );
+      assert.deepEqual(packages, ['@acme/a', '@acme/b']);
+      assert.deepEqual(overrides, { '@acme/a': { workflow: 'release.yml' } });
+      assert.deepEqual(duplicates, ['@acme/a']);
+      assert.deepEqual(invalid, [
+        { line: 3, text: '@acme/a workflow=publish.yml', name: '@acme/a', error: 'Listed on line 1 with other overrides' },
+        { line: 4, text: '@acme/b env=prod', name: '@acme/b', error: 'Listed on line 2 with other overrides' },
+      ]);
+    });
+  });
+});
+
+describe('parsePackageFile', () => {
+  it('returns text lists as they are', () => {
+    assert.equal(popup.parsePackageFile('unpublished-packages.txt', '@acme/a\n@acme/b\n'), '@acme/a\n@acme/b\n');
+  });
+
+  it('reads the JSON list check-unpublished writes', () => {
+    const json = JSON.stringify([
+      { name: '@acme/a', version: '1.0.0', path: 'packages/a' },
+      { name: '@acme/b', version: null, path: 'packages/b' },
+    ]);
+    assert.equal(popup.parsePackageFile('unpublished-packages.json', json), '@acme/a\n@acme/b');
+  });
+
+  it("reads a package.json's workspace: dependencies", () => {
+    const json = JSON.stringify({
+      name: '@acme/app',
+      dependencies: { '@acme/a': 'workspace:*', react: '^18.0.0' },
+      devDependencies: { '@acme/b': 'workspace:^1.0.0' },
+    });
+    assert.equal(popup.parsePackageFile('package.json', json), '@acme/app\n@acme/a\n@acme/b');
+  });
+
+  it('explains that folder workspaces need the check-unpublished script', () => {
+    const json = JSON.stringify({ name: 'root', private: true, workspaces: ['packages/*'] });
+    assert.throws(() => popup.parsePackageFile('package.json', json), /scripts\/check-unpublished\.mjs/);
+  });
+});
@@ -0,0 +1,369 @@
+// Tests for the run queue state machine in extension/shared/queue.js.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadScripts } from './helpers.mjs';
+
+const queue = loadScripts(['extension/shared/queue.js']);
+
+const NOW = '2026-01-01T00:00:00.000Z';
+const PACKAGES = ['@acme/a', '@acme/b', '@acme/c', '@acme/d'];
+
+// Apply events in order, returning the last transition as plain objects (the
+// sandbox's arrays have their own prototypes, which strict equality compares).
+function apply(state, ...events) {
+  let result = { state, effects: [], ignored: false };
+  for (const event of events) {
+    result = queue.transition(result.state, event, NOW);
+  }
+  return JSON.parse(JSON.stringify(result));
+}
+
+function start(config = {}, packages = PACKAGES) {
+  return apply(queue.createInitialState(), { type: 'start', packages, config, runId: 'run-1' });
+}
+
+const AUTO = { navigationMode: 'auto', autoSubmit: true, delay: 2, verify: false };
+
+describe('transition', () => {
+  describe('start', () => {
+    it('starts a run on the first package', () => {
+      const { state, effects } = start();
+      assert.equal(state.status, 'running');
+      assert.equal(state.phase, 'run');
+      assert.equal(state.runId, 'run-1');
+      assert.equal(state.startedAt, NOW);
+      assert.deepEqual(state.lanes, [{ tabId: null, index: 0 }]);
+      assert.equal(state.currentIndex, 1);
+      assert.deepEqual(effects, [{ type: 'navigate', lane: 0, index: 0, packageName: '@acme/a', delay: 0 }]);
+    });
+
+    it('clears the results of an earlier run and keeps its tabs', () => {
+      const first = apply(start().state, { type: 'tab-opened', lane: 0, tabId: 7 }, { type: 'skip' });
+      const { state } = apply(first.state, { type: 'pause' }, { type: 'start', packages: ['@acme/x'], runId: 'run-2' });
+      assert.equal(state.runId, 'run-2');
+      assert.deepEqual(state.skipped, []);
+      assert.deepEqual(state.results, {});
+      assert.deepEqual(state.lanes, [{ tabId: 7, index: 0 }]);
+    });
+
+    it('finishes right away with no packages', () => {
+      const { state, effects } = start({}, []);
+      assert.equal(state.status, 'idle');
+      assert.equal(state.finishedAt, NOW);
+      assert.deepEqual(effects, [{ type: 'finished' }]);
+    });
+  });
+
+  describe('result', () => {
+    it('records the outcome and waits for Next in manual navigation', () => {
+      const { state, effects } = apply(start().state, {
+        type: 'result',
+        packageName: '@acme/a',
+        outcome: 'completed',
+        publishingAccess: 'publish',
+      });
+      assert.deepEqual(state.completed, ['@acme/a']);
+      assert.deepEqual(state.results['@acme/a'], { status: 'completed', publishingAccess: 'publish', finishedAt: NOW });
+      assert.deepEqual(state.lanes, [{ tabId: null, index: 0 }]);
+      assert.deepEqual(effects, []);
+    });
+
+    it('advances after the configured delay in auto navigation', () => {
+      const { state, effects } = apply(start(AUTO).state, { type: 'result', packageName: '@acme/a', outcome: 'completed' });
+      assert.deepEqual(state.lanes, [{ tabId: null, index: 1 }]);
+      assert.deepEqual(effects, [{ type: 'navigate', lane: 0, index: 1, packageName: '@acme/b', delay: 2 }]);
+    });
+
+    it('advances skips quickly, even in manual navigation', () => {
+      const { effects } = apply(start().state, { type: 'result', packageName: '@acme/a', outcome: 'skipped', reason: 'not-found' });
+      assert.deepEqual(effects, [
+        { type: 'navigate', lane: 0, index: 1, packageName: '@acme/b', delay: queue.get('QUICK_ADVANCE_DELAY') },
+      ]);
+    });
+
+    it('leaves a failed package for the user with a single lane', () => {
+      const { state, effects } = apply(start(AUTO).state, {
+        type: 'result',
+        packageName: '@acme/a',
+        outcome: 'failed',
+        reason: 'error-alert',
+        error: 'Nope',
+      });
+      assert.deepEqual(state.failed, ['@acme/a']);
+      assert.equal(state.results['@acme/a'].error, 'Nope');
+      assert.deepEqual(effects, []);
+    });
+
+    it('lets advance override the default', () => {
+      const { effects } = apply(start().state, { type: 'result', packageName: '@acme/a', outcome: 'failed', advance: true });
+      assert.equal(effects[0].packageName, '@acme/b');
+    });
+
+    it("doesn't advance for a package no lane is on", () => {
+      const { state: running } = apply(start(AUTO).state, { type: 'result', packageName: '@acme/a', outcome: 'completed' });
+      const { state, effects } = apply(running, { type: 'result', packageName: '@acme/a', outcome: 'completed' });
+      assert.deepEqual(state.lanes, [{ tabId: null, index: 1 }]);
+      assert.deepEqual(effects, []);
+    });
+
+    it('moves a package between result lists', () => {
+      const { state } = apply(
+        start().state,
+        { type: 'result', packageName: '@acme/a', outcome: 'failed' },
+        { type: 'result', packageName: '@acme/a', outcome: 'completed' }
+      );
+      assert.deepEqual(state.failed, []);
+      assert.deepEqual(state.completed, ['@acme/a']);
+    });
+
+    it('plans a missing package as a skip in dry runs', () => {
+      const { state } = apply(start({ dryRun: true }).state, {
+        type: 'result',
+        packageName: '@acme/a',
+        outcome: 'skipped',
+        reason: 'not-found',
+      });
+      assert.deepEqual(state.plan, { '@acme/a': 'would-skip-404' });
+    });
+  });
+
+  describe('next and skip', () => {
+    it('marks the current package completed on Next', () => {
+      const { state, effects } = apply(start().state, { type: 'next' });
+      assert.deepEqual(state.completed, ['@acme/a']);
+      assert.equal(state.results['@acme/a'].reason, 'manual-next');
+      assert.equal(effects[0].packageName, '@acme/b');
+    });
+
+    it('keeps an existing result on Next', () => {
+      const { state } = apply(start().state, { type: 'result', packageName: '@acme/a', outcome: 'failed' }, { type: 'next' });
+      assert.deepEqual(state.failed, ['@acme/a']);
+      assert.deepEqual(state.completed, []);
+    });
+
+    it('marks the current package skipped on Skip', () => {
+      const { state, effects } = apply(start().state, { type: 'skip' });
+      assert.deepEqual(state.skipped, ['@acme/a']);
+      assert.equal(state.results['@acme/a'].reason, 'manual-skip');
+      assert.equal(effects[0].packageName, '@acme/b');
+    });
+
+    it('finishes the run after the last package', () => {
+      const { state, effects } = apply(start({ verify: false }, ['@acme/a']).state, { type: 'next' });
+      assert.equal(state.status, 'idle');
+      assert.deepEqual(state.lanes, [{ tabId: null, index: null }]);
+      assert.deepEqual(effects, [{ type: 'finished' }]);
+    });
+
+    it('ignores Next and Skip with no current package', () => {
+      const { state: running } = start();
+      const idleLane = { ...running, lanes: [{ tabId: 7, index: null }] };
+      for (const type of ['next', 'skip']) {
+        assert.equal(apply(idleLane, { type }).ignored, true);
+      }
+    });
+  });
+
+  describe('pause, resume and retry', () => {
+    it('advances without navigating while paused', () => {
+      const { state, effects } = apply(start().state, { type: 'pause' }, { type: 'next' });
+      assert.equal(state.status, 'paused');
+      assert.deepEqual(state.lanes, [{ tabId: null, index: 1 }]);
+      assert.deepEqual(effects, []);
+    });
+
+    it('reloads the package each lane is on when resumed', () => {
+      const { state, effects } = apply(start().state, { type: 'pause' }, { type: 'resume' });
+      assert.equal(state.status, 'running');
+      assert.deepEqual(effects, [{ type: 'navigate', lane: 0, index: 0, packageName: '@acme/a', delay: 0 }]);
+    });
+
+    it('reloads only the current package on Retry', () => {
+      const { state: running } = start({ ...AUTO, concurrency: 2 });
+      const { effects } = apply(running, { type: 'retry' });
+      assert.deepEqual(effects, [{ type: 'navigate', lane: 0, index: 0, packageName: '@acme/a', delay: 0 }]);
+    });
+
+    it('clears results on reset', () => {
+      const { state } = apply(start().state, { type: 'skip' }, { type: 'reset' });
+      assert.equal(state.status, 'idle');
+      assert.deepEqual(state.skipped, []);
+      assert.deepEqual(state.lanes, [{ tabId: null, index: null }]);
+    });
+  });
+
+  describe('tabs', () => {
+    it('pauses when a run tab is closed', () => {
+      const { state } = apply(start().state, { type: 'tab-opened', lane: 0, tabId: 7 }, { type: 'tab-closed', tabId: 7 });
+      assert.equal(state.status, 'paused');
+      assert.deepEqual(state.lanes, [{ tabId: null, index: 0 }]);
+    });
+
+    it('ignores other tabs closing', () => {
+      const { state: running } = apply(start().state, { type: 'tab-opened', lane: 0, tabId: 7 });
+      const { state, ignored } = apply(running, { type: 'tab-closed', tabId: 8 });
+      assert.equal(ignored, true);
+      assert.equal(state.status, 'running');
+    });
+  });
+
+  describe('several lanes', () => {
+    it('hands a package to each lane', () => {
+      const { state, effects } = start({ ...AUTO, concurrency: 3 });
+      assert.deepEqual(
+        state.lanes.map((lane) => lane.index),
+        [0, 1, 2]
+      );
+      assert.deepEqual(
+        effects.map((effect) => [effect.lane, effect.packageName]),
+        [
+          [0, '@acme/a'],
+          [1, '@acme/b'],
+          [2, '@acme/c'],
+        ]
+      );
+    });
+
+    it('gives the next package to the lane that finished', () => {
+      const { state, effects } = apply(start({ ...AUTO, concurrency: 3 }).state, {
+        type: 'result',
+        packageName: '@acme/b',
+        outcome: 'completed',
+      });
+      assert.deepEqual(
+        state.lanes.map((lane) => lane.index),
+        [0, 3, 2]
+      );
+      assert.deepEqual(effects, [{ type: 'navigate', lane: 1, index: 3, packageName: '@acme/d', delay: 2 }]);
+    });
+
+    it('moves on from failures unattended', () => {
+      const { effects } = apply(start({ ...AUTO, concurrency: 2 }).state, {
+        type: 'result',
+        packageName: '@acme/a',
+        outcome: 'failed',
+      });
+      assert.equal(effects[0].packageName, '@acme/c');
+    });
+
+    it('finishes once every lane is done', () => {
+      const packages = ['@acme/a', '@acme/b'];
+      const { state: running } = start({ ...AUTO, concurrency: 2 }, packages);
+      const first = apply(running, { type: 'result', packageName: '@acme/a', outcome: 'completed' });
+      assert.equal(first.state.status, 'running');
+      assert.deepEqual(
+        first.state.lanes.map((lane) => lane.index),
+        [null, 1]
+      );
+      const { state, effects } = apply(first.state, { type: 'result', packageName: '@acme/b', outcome: 'completed' });
+      assert.equal(state.status, 'idle');
+      assert.deepEqual(effects, [{ type: 'finished' }]);
+    });
+
+    it('uses one lane when the user has to act on each page', () => {
+      assert.equal(start({ navigationMode: 'manual', concurrency: 3 }).state.lanes.length, 1);
+      assert.equal(start({ navigationMode: 'auto', autoSubmit: false, concurrency: 3 }).state.lanes.length, 1);
+      assert.equal(start({ ...AUTO, concurrency: 99 }).state.lanes.length, queue.get('MAX_CONCURRENCY'));
+    });
+  });
+
+  describe('verification', () => {
+    const VERIFIED = { ...AUTO, verify: true };
+
+    function finishRun() {
+      return apply(
+        start(VERIFIED, ['@acme/a', '@acme/b', '@acme/c']).state,
+        { type: 'result', packageName: '@acme/a', outcome: 'completed' },
+        { type: 'result', packageName: '@acme/b', outcome: 'skipped' },
+        { type: 'result', packageName: '@acme/c', outcome: 'updated' }
+      );
+    }
+
+    it('enters the verify phase after the last package, rechecking completed and updated ones', () => {
+      const { state, effects } = finishRun();
+      assert.equal(state.status, 'running');
+      assert.equal(state.phase, 'verify');
+      assert.equal(state.finishedAt, null);
+      assert.deepEqual(effects, [
+        { type: 'navigate', lane: 0, index: 0, packageName: '@acme/a', delay: queue.get('QUICK_ADVANCE_DELAY') },
+      ]);
+    });
+
+    it('passes over packages that need no recheck', () => {
+      const { state, effects } = apply(finishRun().state, { type: 'verification', packageName: '@acme/a', verified: true });
+      assert.equal(state.results['@acme/a'].verifiedAt, NOW);
+      assert.deepEqual(state.completed, ['@acme/a']);
+      assert.equal(effects[0].packageName, '@acme/c');
+    });
+
+    it('moves packages that fail the recheck to unverified, then finishes', () => {
+      const { state, effects } = apply(
+        finishRun().state,
+        { type: 'verification', packageName: '@acme/a', verified: true },
+        { type: 'verification', packageName: '@acme/c', verified: false, reason: 'mismatch', error: 'Different workflow' }
+      );
+      assert.deepEqual(state.updated, []);
+      assert.deepEqual(state.unverified, ['@acme/c']);
+      assert.deepEqual(state.results['@acme/c'], {
+        status: 'unverified',
+        reason: 'mismatch',
+        error: 'Different workflow',
+        finishedAt: NOW,
+      });
+      assert.equal(state.status, 'idle');
+      assert.deepEqual(effects, [{ type: 'finished' }]);
+    });
+
+    it('skips verification when nothing was changed or it is turned off', () => {
+      const skippedOnly = apply(start(VERIFIED, ['@acme/a']).state, { type: 'result', packageName: '@acme/a', outcome: 'skipped' });
+      assert.equal(skippedOnly.state.status, 'idle');
+      const off = apply(start(AUTO, ['@acme/a']).state, { type: 'result', packageName: '@acme/a', outcome: 'completed' });
+      assert.equal(off.state.phase, 'run');
+      assert.equal(off.state.status, 'idle');
+    });
+
+    it('leaves outcomes alone when a recheck is skipped', () => {
+      const { state } = apply(finishRun().state, { type: 'skip' });
+      assert.deepEqual(state.completed, ['@acme/a']);
+      assert.deepEqual(state.skipped, ['@acme/b']);
+    });
+
+    it('ignores verification outside the verify phase', () => {
+      assert.equal(apply(start(VERIFIED).state, { type: 'verification', packageName: '@acme/a', verified: true }).ignored, true);
+    });
+  });
+
+  describe('ignored events', () => {
+    it('ignores events not allowed in the current status', () => {
+      const idle = queue.createInitialState();
+      for (const type of ['next', 'skip', 'pause', 'resume', 'retry', 'result', 'verification', 'unknown']) {
+        const { state, effects, ignored } = queue.transition(idle, { type, packageName: '@acme/a', outcome: 'completed' });
+        assert.equal(ignored, true, type);
+        assert.equal(state, idle);
+        assert.equal(effects.length, 0);
+      }
+      assert.equal(apply(start().state, { type: 'start', packages: PACKAGES }).ignored, true);
+    });
+
+    it('ignores results with an unknown outcome or package', () => {
+      const { state: running } = start();
+      assert.equal(apply(running, { type: 'result', packageName: '@acme/a', outcome: 'done' }).ignored, true);
+      assert.equal(apply(running, { type: 'result', packageName: '@other/x', outcome: 'completed' }).ignored, true);
+    });
+
+    it("doesn't modify the state it is given", () => {
+      const { state: running } = start();
+      const before = JSON.stringify(running);
+      queue.transition(running, { type: 'result', packageName: '@acme/a', outcome: 'completed' }, NOW);
+      queue.transition(running, { type: 'skip' }, NOW);
+      assert.equal(JSON.stringify(running), before);
+    });
+
+    it('only changes the package list while idle', () => {
+      const { state } = apply(start().state, { type: 'configure', packages: ['@acme/x'], config: { delay: 5 } });
+      assert.deepEqual(state.packages, PACKAGES);
+      assert.equal(state.config.delay, 5);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// Tests for TOTP codes and secret storage in extension/shared/totp.js.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadScripts } from './helpers.mjs';
+
+// An in-memory stand-in for one chrome.storage area.
+function createStorageArea() {
+  const data = {};
+  return {
+    data,
+    async get(keys) {
+      return Object.fromEntries(keys.filter((key) => key in data).map((key) => [key, data[key]]));
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(key) {
+      delete data[key];
+    },
+  };
+}
+
+// Load totp.js with its own chrome.storage. Web Crypto only takes buffers from
+// its own realm, so the sandbox shares this one's binary types.
+function load() {
+  const chrome = { storage: { local: createStorageArea(), session: createStorageArea() } };
+  const globals = { chrome, crypto, btoa, atob, TextEncoder, TextDecoder, ArrayBuffer, DataView, Uint8Array };
+  return { totp: loadScripts(['extension/shared/totp.js'], globals), chrome };
+}
+
+const { totp } = load();
+
+// The RFC 6238 SHA-1 test seed, the ASCII string "12345678901234567890", in base32.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateTotp', () => {
+  // RFC 6238 appendix B (SHA-1), cut to the last 6 of its 8 digits as npm uses.
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`gives ${code} at ${seconds}s`, async () => {
+      assert.equal(await totp.generateTotp(RFC_SECRET, seconds * 1000), code);
+    });
+  }
+
+  it('counts down to the next code', () => {
+    assert.equal(totp.getTotpRemaining(59 * 1000), 1);
+    assert.equal(totp.getTotpRemaining(60 * 1000), 30);
+  });
+});
+
+describe('parseTotpSecret', () => {
+  it('cleans up a pasted secret', () => {
+    assert.equal(totp.parseTotpSecret(' gezd gnbv-gy3t qojq gezd gnbv gy3t qojq== '), RFC_SECRET);
+  });
+
+  it('reads the secret from an otpauth URI', () => {
+    const uri = `otpauth://totp/npm:acme?secret=${RFC_SECRET}&issuer=npm&algorithm=SHA1&digits=6&period=30`;
+    assert.equal(totp.parseTotpSecret(uri), RFC_SECRET);
+  });
+
+  it('rejects settings npm does not use, short secrets and non-base32 text', () => {
+    assert.throws(() => totp.parseTotpSecret(`otpauth://hotp/npm?secret=${RFC_SECRET}`), /Only time-based/);
+    assert.throws(() => totp.parseTotpSecret(`otpauth://totp/npm?secret=${RFC_SECRET}&digits=8`), /Unsupported TOTP settings/);
+    assert.throws(() => totp.parseTotpSecret('GEZDGNBV'), /Secret is too short/);
+    assert.throws(() => totp.parseTotpSecret('not-a-secret!'), /must be base32/);
+  });
+});
+
+describe('secret storage', () => {
+  it('decrypts what it encrypted with the same passphrase', async () => {
+    const stored = await totp.encryptTotpSecret(RFC_SECRET, 'correct horse');
+    assert.equal(stored.version, 1);
+    assert.equal(stored.iterations, totp.get('TOTP_KEY_ITERATIONS'));
+    assert.ok(!JSON.stringify(stored).includes(RFC_SECRET));
+    assert.equal(await totp.decryptTotpSecret(stored, 'correct horse'), RFC_SECRET);
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const stored = await totp.encryptTotpSecret(RFC_SECRET, 'correct horse');
+    await assert.rejects(totp.decryptTotpSecret(stored, 'wrong horse'), /Wrong passphrase/);
+  });
+
+  it('stores the secret encrypted and unlocks it for the session', async () => {
+    const { totp, chrome } = load();
+    await assert.rejects(totp.saveTotpSecret(RFC_SECRET, 'short'), /at least 8 characters/);
+
+    await totp.saveTotpSecret(RFC_SECRET, 'correct horse');
+    assert.ok(chrome.storage.local.data[totp.get('TOTP_KEY')].ciphertext);
+    assert.equal(await totp.getUnlockedTotpSecret(), RFC_SECRET);
+
+    await totp.lockTotp();
+    const status = await totp.getTotpStatus();
+    assert.equal(status.stored, true);
+    assert.equal(status.unlocked, false);
+    await assert.rejects(totp.unlockTotp('wrong horse'), /Wrong passphrase/);
+    await totp.unlockTotp('correct horse');
+    assert.equal(await totp.getUnlockedTotpSecret(), RFC_SECRET);
+
+    await totp.removeTotpSecret();
+    assert.equal((await totp.getTotpStatus()).stored, false);
+    await assert.rejects(totp.unlockTotp('correct horse'), /No TOTP secret stored/);
+  });
+});
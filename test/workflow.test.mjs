@@ -0,0 +1,144 @@
+// Tests for the YAML parser and workflow analysis in extension/popup/workflow.js.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadScripts } from './helpers.mjs';
+
+const popup = loadScripts(['extension/popup/workflow.js']);
+
+// Copy results out of the sandbox, so strict equality doesn't compare prototypes.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function parse(text) {
+  return plain(popup.parseYaml(text));
+}
+
+function analyze(text, filename = '.github/workflows/release.yml') {
+  return plain(popup.analyzeWorkflow(text, filename));
+}
+
+// A workflow with one job running the given steps.
+function workflow(steps, job = '') {
+  return `on: push
+jobs:
+  release:
+${job}    runs-on: ubuntu-latest
+    steps:
+${steps.map((step) => `      - ${step}`).join('\n')}
+`;
+}
+
+const ID_TOKEN = '    permissions:\n      id-token: write\n';
+
+describe('parseYaml', () => {
+  it('parses nested mappings and sequences', () => {
+    assert.deepEqual(parse('a:\n  b: 1\n  c:\n    - x\n    - y: 2\n      z: true\nd: null'), {
+      a: { b: 1, c: ['x', { y: 2, z: true }] },
+      d: null,
+    });
+  });
+
+  it('reads sequences at the same indent as their key', () => {
+    assert.deepEqual(parse('steps:\n- run: a\n- run: b\nafter: 1'), { steps: [{ run: 'a' }, { run: 'b' }], after: 1 });
+  });
+
+  it('keeps literal block scalars and folds folded ones', () => {
+    assert.deepEqual(parse('a: |\n  one\n    two\n\nb: >-\n  three\n  four\n'), {
+      a: 'one\n  two\n',
+      b: 'three four\n',
+    });
+  });
+
+  it('parses flow collections and quoted strings', () => {
+    assert.deepEqual(parse(`on: [push, "workflow_dispatch"]\nenv: { A: 'it''s', B: "x: y" }`), {
+      on: ['push', 'workflow_dispatch'],
+      env: { A: "it's", B: 'x: y' },
+    });
+  });
+
+  it('strips comments outside quotes', () => {
+    assert.deepEqual(parse('# top\na: 1 # one\nb: "# not a comment"\nc: x#y'), { a: 1, b: '# not a comment', c: 'x#y' });
+  });
+
+  it('returns null for an empty document', () => {
+    assert.equal(popup.parseYaml('\n# nothing\n'), null);
+  });
+
+  it('names the line it cannot read', () => {
+    assert.throws(() => popup.parseYaml('a: 1\njust text'), /Line 2: expected "key: value"/);
+  });
+});
+
+describe('PUBLISH_COMMAND_PATTERN', () => {
+  const pattern = popup.get('PUBLISH_COMMAND_PATTERN');
+
+  it('matches publish as the subcommand', () => {
+    for (const command of [
+      'npm publish --provenance --access public',
+      'pnpm -r publish --no-git-checks',
+      'pnpm --filter ./packages/a publish',
+      'yarn npm publish',
+      'yarn publish',
+      'cd dist && npm publish',
+    ]) {
+      assert.ok(pattern.test(command), command);
+    }
+  });
+
+  it('ignores scripts and text that only mention publish', () => {
+    for (const command of [
+      'npm run publish-docs',
+      'yarn publish:check',
+      'pnpm run publish',
+      'npm exec -- publish',
+      'echo "npm ci done, ready to publish"',
+      'npx changeset publish',
+    ]) {
+      assert.ok(!pattern.test(command), command);
+    }
+  });
+});
+
+describe('analyzeWorkflow', () => {
+  it('finds the publish job with its environment and commands', () => {
+    const text = workflow(
+      ['uses: actions/checkout@v4', 'run: npm ci', 'run: |\n          npm run build\n          npm publish --provenance'],
+      `    name: Release\n    environment: npm\n${ID_TOKEN}`
+    );
+    assert.deepEqual(analyze(text), {
+      workflow: 'release.yml',
+      jobs: [{ id: 'release', name: 'Release', environment: 'npm', commands: ['npm publish --provenance'] }],
+      warnings: [],
+    });
+  });
+
+  it('reads an environment given as { name, url }', () => {
+    const text = workflow(['run: npm publish --provenance'], `    environment:\n      name: production\n      url: https://npmjs.com\n${ID_TOKEN}`);
+    assert.equal(analyze(text).jobs[0].environment, 'production');
+  });
+
+  it('takes permissions and provenance from the top level', () => {
+    const text = `permissions:\n  id-token: write\nenv:\n  NPM_CONFIG_PROVENANCE: true\n${workflow(['run: pnpm -r publish'])}`;
+    assert.deepEqual(analyze(text).warnings, []);
+  });
+
+  it('warns about missing id-token permission, missing provenance and expression environments', () => {
+    const text = workflow(['run: npm publish'], '    environment: ${{ inputs.env }}\n');
+    assert.deepEqual(analyze(text).warnings, [
+      'Job "release" sets its environment from an expression (${{ inputs.env }}); enter it manually.',
+      'Job "release" is missing "permissions: id-token: write".',
+      'Job "release" publishes without --provenance.',
+    ]);
+  });
+
+  it("doesn't take scripts named after publish for publish jobs", () => {
+    const text = workflow(['run: npm run publish-docs', 'run: yarn publish:check'], ID_TOKEN);
+    assert.deepEqual(analyze(text), { workflow: 'release.yml', jobs: [], warnings: ['No job runs npm, pnpm or yarn publish.'] });
+  });
+
+  it('rejects a file without jobs', () => {
+    assert.throws(() => popup.analyzeWorkflow('name: not a workflow\n'), /No jobs found in workflow/);
+  });
+});